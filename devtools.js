@@ -0,0 +1,262 @@
+/* global _fabricate */
+// Optional devtools panel - include only in development builds to leave it out of production
+
+// Use the library already loaded on the page, or require it
+const devtoolsLib = typeof module !== 'undefined'
+  // eslint-disable-next-line global-require
+  ? require('./fabricate')
+  : { fabricate, _fabricate };
+
+// Private data - NOT FOR EXTERNAL USE
+const _devtools = {
+  /** Default key to show and hide the panel */
+  DEFAULT_SHORTCUT: 'F2',
+  /** Maximum updates kept in the timeline */
+  MAX_TIMELINE: 30,
+
+  /**
+   * Get a value as short text for display.
+   *
+   * @param {*} value - Value to show.
+   * @returns {string} Value text.
+   */
+  toText: (value) => (typeof value === 'undefined' ? 'undefined' : JSON.stringify(value)),
+  /**
+   * Get the keys of an update that can be replayed with fabricate.update().
+   *
+   * @param {Array<string>} keys - Updated keys.
+   * @returns {Array<string>} Keys that can be replayed.
+   */
+  getReplayKeys: (keys) => keys.filter(
+    (p) => !p.startsWith('fabricate:') && !devtoolsLib._fabricate.computedKeys[p],
+  ),
+  /**
+   * Group state watchers by component name and watched keys.
+   *
+   * @returns {Array<object>} Groups of { name, watchKeys, count }.
+   */
+  getWatcherGroups: () => devtoolsLib._fabricate.stateWatchers
+    .reduce((acc, { el, watchKeys = [] }) => {
+      const name = el.componentName || el.tagName.toLowerCase();
+      const group = acc.find((p) => p.name === name && p.watchKeys.join() === watchKeys.join());
+      if (group) {
+        group.count += 1;
+        return acc;
+      }
+
+      return [...acc, { name, watchKeys, count: 1 }];
+    }, []),
+  /**
+   * Build a panel section.
+   *
+   * @param {string} title - Section title.
+   * @param {Array<HTMLElement>} children - Section content.
+   * @returns {HTMLElement} Section.
+   */
+  Section: (title, children) => devtoolsLib.fabricate('Column')
+    .setStyles({ marginBottom: '10px' })
+    .setChildren([
+      devtoolsLib.fabricate('div')
+        .setStyles({ fontWeight: 'bold', borderBottom: '1px solid #666', marginBottom: '4px' })
+        .setText(title),
+      ...children,
+    ]),
+  /**
+   * Build a row showing a state value, which can be edited as JSON.
+   *
+   * @param {string} key - State key.
+   * @param {*} value - State value.
+   * @returns {HTMLElement} State row.
+   */
+  StateRow: (key, value) => {
+    const { fabricate } = devtoolsLib;
+    const canEdit = _devtools.getReplayKeys([key]).length > 0;
+
+    const input = fabricate('input')
+      .setStyles({
+        flex: 1,
+        minWidth: 0,
+        color: 'white',
+        backgroundColor: '#333',
+        border: '1px solid #555',
+        fontFamily: 'monospace',
+      })
+      .setAttributes({ type: 'text', value: _devtools.toText(value), disabled: !canEdit })
+      .onEvent('change', (el) => {
+        try {
+          fabricate.update(key, JSON.parse(el.value));
+        } catch (e) {
+          el.setStyles({ border: '1px solid red' });
+        }
+      });
+
+    return fabricate('Row')
+      .setStyles({ alignItems: 'center', margin: '2px 0px' })
+      .setChildren([
+        fabricate('div').setStyles({ width: '40%', overflow: 'hidden' }).setText(key),
+        input,
+      ]);
+  },
+  /**
+   * Build a row showing a group of state watchers.
+   *
+   * @param {object} group - Watcher group.
+   * @param {string} group.name - Component name.
+   * @param {Array<string>} group.watchKeys - Keys watched.
+   * @param {number} group.count - Number of watchers.
+   * @returns {HTMLElement} Watcher row.
+   */
+  WatcherRow: ({ name, watchKeys, count }) => devtoolsLib.fabricate('div')
+    .setStyles({ margin: '2px 0px' })
+    .setText(`${name} x${count}: ${watchKeys.join(', ') || '(all)'}`),
+  /**
+   * Build a row showing an update in the timeline, which can be replayed.
+   *
+   * @param {object} entry - Timeline entry.
+   * @param {string} entry.time - Time of the update.
+   * @param {Array<string>} entry.keys - Keys updated.
+   * @param {number} entry.msTaken - Time taken to notify watchers.
+   * @param {object} entry.values - Values of keys that can be replayed.
+   * @returns {HTMLElement} Timeline row.
+   */
+  TimelineRow: ({
+    time, keys, msTaken, values,
+  }) => {
+    const { fabricate } = devtoolsLib;
+
+    const children = [
+      fabricate('div')
+        .setStyles({ flex: 1 })
+        .setText(`${time} ${keys.join(', ')} (${msTaken}ms)`),
+    ];
+    if (Object.keys(values).length) {
+      children.push(
+        fabricate('button')
+          .setText('Replay')
+          .onClick(() => fabricate.update(values)),
+      );
+    }
+
+    return fabricate('Row')
+      .setStyles({ alignItems: 'center', margin: '2px 0px' })
+      .setChildren(children);
+  },
+};
+
+/**
+ * Add a devtools panel to the page, showing the default app's live state, state watchers,
+ * and a timeline of updates. State values can be edited, and updates replayed.
+ *
+ * @param {object} [opts] - Devtools options.
+ * @param {string} [opts.shortcut] - Key to show and hide the panel.
+ * @returns {object} Devtools with toggle() and uninstall().
+ */
+const installDevtools = ({ shortcut = _devtools.DEFAULT_SHORTCUT } = {}) => {
+  const { fabricate, _fabricate: lib } = devtoolsLib;
+
+  let isVisible = false;
+  const timeline = [];
+
+  const panel = fabricate('Column')
+    .setStyles({
+      position: 'fixed',
+      top: '0px',
+      right: '0px',
+      width: '360px',
+      height: '100vh',
+      overflowY: 'auto',
+      padding: '8px',
+      backgroundColor: '#222',
+      color: 'white',
+      fontFamily: 'monospace',
+      fontSize: '0.8rem',
+      zIndex: 10000,
+      display: 'none',
+    })
+    .setAttributes({ id: 'fabricate-devtools' });
+
+  /**
+   * Show the latest state, watchers, and timeline.
+   *
+   * @returns {void}
+   */
+  const render = () => lib.runInApp(lib.defaultApp, () => {
+    const { state } = lib;
+
+    panel.setChildren([
+      _devtools.Section(
+        'State',
+        Object.keys(state).map((key) => _devtools.StateRow(key, state[key])),
+      ),
+      _devtools.Section('Watchers', _devtools.getWatcherGroups().map(_devtools.WatcherRow)),
+      _devtools.Section('Timeline', timeline.map(_devtools.TimelineRow)),
+    ]);
+  });
+
+  /**
+   * Record each update of the default app.
+   *
+   * @param {Array<string>} keys - Keys updated.
+   * @param {object} state - State after the update.
+   * @param {number} msTaken - Time taken to notify watchers.
+   * @returns {void}
+   */
+  const afterUpdate = (keys, state, msTaken) => {
+    if (lib.currentApp !== lib.defaultApp) return;
+
+    const values = _devtools.getReplayKeys(keys)
+      .reduce((acc, k) => ({ ...acc, [k]: lib.getPathValue(state, k) }), {});
+    timeline.unshift({
+      time: new Date().toLocaleTimeString(),
+      keys,
+      msTaken,
+      values,
+    });
+    timeline.splice(_devtools.MAX_TIMELINE);
+
+    if (isVisible) render();
+  };
+
+  /**
+   * Show or hide the panel.
+   */
+  const toggle = () => {
+    isVisible = !isVisible;
+    panel.setStyles({ display: isVisible ? 'flex' : 'none' });
+    if (isVisible) render();
+  };
+
+  /**
+   * When a key is pressed.
+   *
+   * @param {KeyboardEvent} e - Keyboard event.
+   * @returns {void}
+   */
+  const onKeyDown = ({ key }) => {
+    if (key === shortcut) toggle();
+  };
+
+  const removePlugin = fabricate.use({ name: 'devtools', afterUpdate });
+  document.addEventListener('keydown', onKeyDown);
+  document.body.appendChild(panel);
+
+  return {
+    toggle,
+    /**
+     * Remove the devtools panel.
+     */
+    uninstall: () => {
+      removePlugin();
+      document.removeEventListener('keydown', onKeyDown);
+      panel.remove();
+    },
+  };
+};
+
+// Allow 'require' in unit tests and bundlers
+if (typeof module !== 'undefined') {
+  module.exports = {
+    installDevtools,
+    _devtools,
+  };
+}
@@ -17,21 +17,22 @@ const NewItemBox = () => {
       width: '100%',
       marginRight: '15px',
       marginLeft: 'initial',
-    });
+    })
+    .bind('newTask');
 
   /**
    * When a task should be saved.
+   *
+   * @param {HTMLElement} el - Button clicked.
+   * @param {object} state - App state.
+   * @param {Array<string>} state.tasks - Current tasks.
+   * @param {string} state.newTask - Text of the new task.
    */
-  const onSaveTask = () => {
-    const { value } = input;
-    if (value.trim().length === 0) return;
-
-    // Add new item
-    fabricate.update('tasks', (prev) => [...prev.tasks, value]);
+  const onSaveTask = (el, { tasks, newTask }) => {
+    if (newTask.trim().length === 0) return;
 
-    // Reset (TODO: Controlled input)
-    // eslint-disable-next-line no-param-reassign
-    input.value = '';
+    // Add new item, and reset the input
+    fabricate.update({ tasks: [...tasks, newTask], newTask: '' });
   };
 
   return fabricate('Card')
@@ -49,7 +50,7 @@ const NewItemBox = () => {
           input,
           fabricate('Button', { text: 'Create', backgroundColor: 'gold' })
             .setStyles({ minWidth: '50px' })
-            .onClick(() => onSaveTask(input)),
+            .onClick(onSaveTask),
         ]),
     ]);
 };
@@ -114,6 +115,7 @@ const App = () => fabricate('Column')
 // Start app
 const initialState = {
   tasks: ['Take out the tash before going out'],
+  newTask: '',
 };
 const options = { persistState: ['tasks'] };
 fabricate.app(App, initialState, options);
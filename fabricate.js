@@ -2,8 +2,21 @@
 const _fabricate = {
   /** Max mobile width. */
   MOBILE_MAX_WIDTH: 1000,
-  /** LocalStorage key for persisted state */
+  /** Minimum time between viewport state updates while resizing */
+  VIEWPORT_THROTTLE_MS: 100,
+  /** Default storage key for persisted state */
   STORAGE_KEY_STATE: '_fabricate:state',
+  /** Key of the state version in persisted state */
+  STORAGE_KEY_VERSION: 'fabricate:stateVersion',
+  /** IndexedDB database and object store for persisted state */
+  INDEXED_DB_NAME: 'fabricate',
+  INDEXED_DB_STORE: 'state',
+  /** Hooks plugins can provide */
+  PLUGIN_HOOKS: ['beforeUpdate', 'afterUpdate', 'onAppStart', 'onNavigate'],
+  /** Types that can be used in a state schema */
+  SCHEMA_TYPES: ['string', 'number', 'boolean', 'array', 'object', 'enum', 'any'],
+  /** Built-in storage backends for persisted state */
+  STORAGE_NAMES: ['localStorage', 'sessionStorage', 'indexedDB'],
   /** Default options */
   DEFAULT_OPTIONS: {
     persistState: undefined,
@@ -13,24 +26,81 @@ const _fabricate = {
       styles: {},
     },
     disableGroupAddChildrenOptim: false,
+    batchUpdates: false,
+    storage: 'localStorage',
+    storageKey: undefined,
+    stateVersion: undefined,
+    migrate: undefined,
+    persistDebounceMs: 100,
+    syncTabs: false,
+    history: undefined,
+    historyLimit: 100,
+    themes: undefined,
+    schema: undefined,
+    skipUnchangedUpdates: false,
+    observeLifecycle: false,
+    breakpoints: undefined,
   },
+  /** Maximum route guard redirects before giving up */
+  MAX_ROUTE_REDIRECTS: 10,
+  /** Elements with no closing tag when rendered to string */
+  VOID_ELEMENTS: ['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'],
+  /** Element properties with a different attribute name when rendered to string */
+  ATTRIBUTE_NAMES: {
+    className: 'class',
+    htmlFor: 'for',
+  },
+  /** ID of the managed stylesheet for generated classes */
+  STYLE_SHEET_ID: 'fabricate-styles',
+  /** Transitions for conditional content, played in reverse to leave */
+  TRANSITIONS: {
+    fade: { from: { opacity: 0 }, to: { opacity: 1 } },
+    slide: { from: { opacity: 0, transform: 'translateY(-10px)' }, to: { opacity: 1, transform: 'none' } },
+    scale: { from: { opacity: 0, transform: 'scale(0.9)' }, to: { opacity: 1, transform: 'none' } },
+  },
+  /** Default transition duration */
+  DEFAULT_TRANSITION_MS: 200,
+  /** Extra time to wait for a transition's animation to end, in case it never runs */
+  TRANSITION_END_MARGIN_MS: 50,
   /** Minimum children before groups are added with timeout */
   MANY_CHILDREN_GROUP_SIZE: 50,
   StateKeys: {
     Init: 'fabricate:init',
     Created: 'fabricate:created',
     Route: 'fabricate:route',
+    RouteParams: 'fabricate:routeParams',
+    Theme: 'fabricate:theme',
+    Viewport: 'fabricate:viewport',
+  },
+  /** Theme palette colors used by built-in components, and their default values */
+  DEFAULT_PALETTE: {
+    primary: 'forestgreen',
+    onPrimary: 'white',
+    secondary: '#444',
+    onSecondary: 'white',
+    muted: '#666',
+    onMuted: 'white',
+    accent: 'red',
+    track: '#ddd',
+    surface: 'white',
+    shadow: '#5555',
+    input: '#f5f5f5',
+    onInput: 'black',
   },
 
-  // Main library state
-  state: {},
-  stateWatchers: [],
+  // Main library state - each app's own state is in its app context
+  apps: [],
+  defaultApp: undefined,
+  currentApp: undefined,
   customComponents: {},
-  options: undefined,
+  plugins: [],
   ignoreStrict: false,
-  router: undefined,
-  routeHistory: undefined,
-  currentUpdateKeys: [],
+  routeOutlet: undefined,
+  isRenderingToString: false,
+  isHydrating: false,
+  hydrationElements: new Map(),
+  styleRules: new Map(),
+  styleSheet: undefined,
 
   // Internal helpers
   /**
@@ -40,13 +110,169 @@ const _fabricate = {
    */
   getStateCopy: () => ({ ..._fabricate.state }),
   /**
-   * Clear library state.
+   * Create the state for one app. Its fields are used through _fabricate while it is running.
+   *
+   * @returns {object} New app context.
+   */
+  createAppContext: () => ({
+    state: {},
+    watcherRegistry: _fabricate.createWatcherRegistry(),
+    options: _fabricate.getDefaultOptions(),
+    router: undefined,
+    routes: undefined,
+    routerMode: 'memory',
+    routeHistory: undefined,
+    popStateListener: undefined,
+    currentUpdateKeys: [],
+    batchDepth: 0,
+    pendingUpdateKeys: [],
+    flushScheduled: false,
+    computedKeys: {},
+    persistStorage: undefined,
+    persistTimer: undefined,
+    persistLoading: undefined,
+    persistLoadingKeys: [],
+    lastStoredState: undefined,
+    tabSyncListener: undefined,
+    tabSyncChannel: undefined,
+    undoSteps: [],
+    redoSteps: [],
+    transactionDepth: 0,
+    transactionStep: undefined,
+    recording: undefined,
+    replay: undefined,
+    lifecycleObserver: undefined,
+    lifecycleRoot: undefined,
+    themeRoot: undefined,
+    themeProperties: [],
+    viewportListener: undefined,
+    viewportTimer: undefined,
+  }),
+  /**
+   * Run a callback with the library acting on a given app, such as from its event listeners.
+   *
+   * @param {object} app - App context.
+   * @param {Function} cb - Callback to run.
+   * @returns {*} Callback result.
+   */
+  runInApp: (app, cb) => {
+    const previous = _fabricate.currentApp;
+    _fabricate.currentApp = app;
+    try {
+      return cb();
+    } finally {
+      _fabricate.currentApp = previous;
+    }
+  },
+  /**
+   * Create an app context and apply options when an app is started.
+   * The first app started is the default app, until it is unmounted.
+   *
+   * @param {object} initialState - Initial state.
+   * @param {object} opts - Extra options.
+   * @returns {object} App context.
+   */
+  startApp: (initialState, opts) => {
+    const { apps, defaultApp } = _fabricate;
+    const app = apps.includes(defaultApp) ? _fabricate.createAppContext() : defaultApp;
+
+    // Reset state
+    _fabricate.resetAppContext(app);
+    app.state = initialState;
+
+    // Apply options
+    Object.assign(app.options, opts);
+    _fabricate.runInApp(app, () => {
+      _fabricate.validateOptions();
+      _fabricate.validateStateValues(initialState);
+      const themeName = _fabricate.getThemeName();
+      if (themeName) {
+        _fabricate.state = { ..._fabricate.state, [_fabricate.StateKeys.Theme]: themeName };
+      }
+      if (!opts.persistState) return;
+
+      _fabricate.persistStorage = _fabricate.getStorage(app.options.storage);
+      _fabricate.persistLoading = _fabricate.loadPersistState();
+      if (app.options.syncTabs) _fabricate.startTabSync();
+    });
+
+    apps.push(app);
+    return app;
+  },
+  /**
+   * Create the handle returned for a started app.
+   *
+   * @param {object} app - App context.
+   * @param {FabricateComponent} root - App root element.
+   * @returns {object} App handle.
+   */
+  createAppHandle: (app, root) => ({
+    root,
+    /**
+     * Run a callback with fabricate functions acting on this app.
+     *
+     * @param {Function} cb - Callback to run.
+     * @returns {*} Callback result.
+     */
+    run: (cb) => _fabricate.runInApp(app, cb),
+    /**
+     * Get a copy of this app's state.
+     *
+     * @returns {object} State copy.
+     */
+    getState: () => ({ ...app.state }),
+    /**
+     * Remove the app, running all onDestroy handlers and unregistering its watchers.
+     *
+     * @returns {void}
+     */
+    unmount: () => _fabricate.unmountApp(app, root),
+  }),
+  /**
+   * Remove an app from the page, running all onDestroy handlers and unregistering its watchers.
+   *
+   * @param {object} app - App context.
+   * @param {FabricateComponent} root - App root element.
+   * @returns {void}
+   */
+  unmountApp: (app, root) => {
+    const { apps } = _fabricate;
+    if (!apps.includes(app)) return;
+
+    _fabricate.runInApp(app, () => {
+      _fabricate.notifyRemovedRecursive(root);
+      _fabricate.stopLifecycle();
+      root.remove();
+    });
+    _fabricate.resetAppContext(app);
+    apps.splice(apps.indexOf(app), 1);
+  },
+  /**
+   * Reset an app context, removing any browser listeners.
+   *
+   * @param {object} app - App context.
+   */
+  resetAppContext: (app) => {
+    if (app.popStateListener) window.removeEventListener('popstate', app.popStateListener);
+    if (app.tabSyncListener) window.removeEventListener('storage', app.tabSyncListener);
+    if (app.tabSyncChannel) app.tabSyncChannel.close();
+    if (app.lifecycleObserver) app.lifecycleObserver.disconnect();
+    if (app.viewportListener) window.removeEventListener('resize', app.viewportListener);
+    clearTimeout(app.viewportTimer);
+    clearTimeout(app.persistTimer);
+
+    Object.assign(app, _fabricate.createAppContext());
+  },
+  /**
+   * Clear library state, including all apps.
    */
   clearState: () => {
-    _fabricate.state = {};
-    _fabricate.stateWatchers = [];
-    _fabricate.router = undefined;
-    _fabricate.routeHistory = undefined;
+    _fabricate.apps.forEach(_fabricate.resetAppContext);
+    _fabricate.apps = [];
+    _fabricate.resetAppContext(_fabricate.defaultApp);
+    _fabricate.currentApp = _fabricate.defaultApp;
+    _fabricate.routeOutlet = undefined;
+    _fabricate.plugins = _fabricate.getBuiltInPlugins();
   },
   /**
    * Recursively check all children since only parent is reported.
@@ -54,10 +280,287 @@ const _fabricate = {
    * @param {HTMLElement} el - Element being removed.
    */
   notifyRemovedRecursive: (el) => {
-    if (el.onDestroyHandlers) el.onDestroyHandlers.forEach((p) => p());
+    _fabricate.destroyElement(el);
 
     el.childNodes.forEach(_fabricate.notifyRemovedRecursive);
   },
+  /**
+   * Run an element's onDestroy handlers.
+   *
+   * @param {HTMLElement} el - Element being removed.
+   * @returns {void}
+   */
+  destroyElement: (el) => {
+    if (!el.onDestroyHandlers) return;
+
+    // The lifecycle observer also sees elements removed by fabricate.js, so only run once
+    // until mounted again
+    if (_fabricate.options.observeLifecycle) {
+      if (el.isDestroyed) return;
+
+      // eslint-disable-next-line no-param-reassign
+      el.isDestroyed = true;
+    }
+    el.onDestroyHandlers.forEach((p) => p());
+  },
+  /**
+   * Get the name of the app's current theme, if named themes are used.
+   *
+   * @returns {string|undefined} Theme name.
+   */
+  getThemeName: () => {
+    const { theme, themes } = _fabricate.options;
+    if (typeof theme === 'string') return theme;
+
+    return themes ? Object.keys(themes)[0] : undefined;
+  },
+  /**
+   * Get the app's current theme.
+   *
+   * @returns {object} Theme with palette and styles.
+   */
+  getTheme: () => {
+    const { theme, themes } = _fabricate.options;
+    const name = _fabricate.getThemeName();
+    return name ? themes[name] : theme;
+  },
+  /**
+   * Get a theme's palette, including colors used by built-in components.
+   *
+   * @param {object} theme - Theme with palette.
+   * @returns {object} Full palette.
+   */
+  getThemePalette: (theme) => ({ ..._fabricate.DEFAULT_PALETTE, ...theme.palette }),
+  /**
+   * Get the CSS custom property name for a palette color.
+   *
+   * @param {string} name - Palette color name.
+   * @returns {string} CSS custom property name.
+   */
+  getThemeProperty: (name) => `--fabricate-${name}`,
+  /**
+   * Set the current theme's palette as CSS custom properties on an app root, so that
+   * elements using them change when the theme does. Built-in components fall back to
+   * DEFAULT_PALETTE for colors not in the palette.
+   *
+   * @param {HTMLElement} root - App root element.
+   * @returns {void}
+   */
+  applyTheme: (root) => {
+    const { palette } = _fabricate.getTheme();
+    const properties = Object.keys(palette).map(_fabricate.getThemeProperty);
+
+    /**
+     * Set or remove a property on the root.
+     *
+     * @param {string} name - Property name.
+     * @param {string} [value] - Property value, if any.
+     * @returns {void}
+     */
+    const setProperty = (name, value) => {
+      if (root.isServerElement) {
+        // eslint-disable-next-line no-param-reassign
+        root.style[name] = value;
+        return;
+      }
+
+      if (typeof value === 'undefined') {
+        root.style.removeProperty(name);
+      } else {
+        root.style.setProperty(name, value);
+      }
+    };
+
+    // Colors only in the previous theme
+    _fabricate.themeProperties
+      .filter((p) => !properties.includes(p))
+      .forEach((p) => setProperty(p));
+    Object.entries(palette)
+      .forEach(([k, v]) => setProperty(_fabricate.getThemeProperty(k), v));
+
+    _fabricate.themeRoot = root;
+    _fabricate.themeProperties = properties;
+  },
+  /**
+   * Get the value of a theme color, such as for drawing where CSS custom properties
+   * can't be used.
+   *
+   * @param {string} color - Color, or a theme color from fabricate.themeVar().
+   * @returns {string} Color value.
+   */
+  resolveThemeColor: (color) => {
+    const match = /^var\(--fabricate-(\w+)(, .*)?\)$/.exec(color);
+    if (!match) return color;
+
+    return _fabricate.getThemePalette(_fabricate.getTheme())[match[1]] || color;
+  },
+  /**
+   * Get the app's breakpoints, smallest first.
+   *
+   * @returns {Array<Array>} List of breakpoint name and minimum width.
+   */
+  getBreakpoints: () => {
+    const { options: { breakpoints }, MOBILE_MAX_WIDTH } = _fabricate;
+
+    return Object.entries(breakpoints || { narrow: 0, wide: MOBILE_MAX_WIDTH })
+      .sort(([, a], [, b]) => a - b);
+  },
+  /**
+   * Get the name of the largest breakpoint a width reaches, or else the smallest.
+   *
+   * @param {number} width - Viewport width.
+   * @returns {string} Breakpoint name.
+   */
+  getBreakpoint: (width) => {
+    const breakpoints = _fabricate.getBreakpoints();
+    const [name] = breakpoints.filter(([, minWidth]) => width >= minWidth).pop() || breakpoints[0];
+    return name;
+  },
+  /**
+   * Get the viewport size and breakpoint.
+   *
+   * @returns {object} Viewport state.
+   */
+  getViewport: () => {
+    const { innerWidth: width, innerHeight: height } = window;
+    return { width, height, breakpoint: _fabricate.getBreakpoint(width) };
+  },
+  /**
+   * Get the current breakpoint name, even if the viewport is not yet tracked.
+   *
+   * @returns {string} Breakpoint name.
+   */
+  getCurrentBreakpoint: () => {
+    const viewport = _fabricate.state[_fabricate.StateKeys.Viewport];
+    if (viewport) return viewport.breakpoint;
+
+    return _fabricate.getBreakpoint(typeof window !== 'undefined' ? window.innerWidth : 0);
+  },
+  /**
+   * Keep the viewport state key up to date as the window is resized, at most once
+   * every VIEWPORT_THROTTLE_MS.
+   *
+   * @returns {void}
+   */
+  startViewport: () => {
+    if (typeof window === 'undefined' || _fabricate.isRenderingToString) return;
+    if (_fabricate.viewportListener) return;
+
+    const { StateKeys: { Viewport } } = _fabricate;
+    const app = _fabricate.currentApp;
+    _fabricate.state = { ..._fabricate.state, [Viewport]: _fabricate.getViewport() };
+
+    /**
+     * When the window is resized, update the viewport state once the throttle time passes.
+     *
+     * @returns {void}
+     */
+    app.viewportListener = () => {
+      if (app.viewportTimer) return;
+
+      app.viewportTimer = setTimeout(() => _fabricate.runInApp(app, () => {
+        app.viewportTimer = undefined;
+
+        const viewport = _fabricate.getViewport();
+        if (_fabricate.isShallowEqual(viewport, _fabricate.state[Viewport])) return;
+
+        _fabricate.state = { ..._fabricate.state, [Viewport]: viewport };
+        _fabricate.handleUpdatedKeys([Viewport]);
+      }), _fabricate.VIEWPORT_THROTTLE_MS);
+    };
+    window.addEventListener('resize', app.viewportListener);
+  },
+  /**
+   * Watch an app root for elements added and removed by any means, to run their onMount
+   * and onUnmount handlers, and clean up those removed without fabricate.js.
+   *
+   * @param {HTMLElement} root - App root element.
+   * @returns {void}
+   */
+  startLifecycle: (root) => {
+    if (!_fabricate.options.observeLifecycle) return;
+
+    const app = _fabricate.currentApp;
+    app.lifecycleRoot = root;
+    app.lifecycleObserver = new window.MutationObserver(
+      (records) => _fabricate.runInApp(app, () => _fabricate.handleLifecycleRecords(records)),
+    );
+    app.lifecycleObserver.observe(root, { childList: true, subtree: true });
+
+    _fabricate.mountElements(root);
+  },
+  /**
+   * Stop watching the app root, unmounting all its elements.
+   *
+   * @returns {void}
+   */
+  stopLifecycle: () => {
+    const { lifecycleObserver, lifecycleRoot } = _fabricate;
+    if (!lifecycleObserver) return;
+
+    lifecycleObserver.disconnect();
+    _fabricate.lifecycleObserver = undefined;
+    _fabricate.lifecycleRoot = undefined;
+    _fabricate.unmountElements(lifecycleRoot);
+  },
+  /**
+   * Mount and unmount elements added to and removed from the app root.
+   *
+   * @param {Array<MutationRecord>} records - Changes to the app root.
+   * @returns {void}
+   */
+  handleLifecycleRecords: (records) => {
+    records.forEach(({ addedNodes, removedNodes }) => {
+      removedNodes.forEach(_fabricate.unmountElements);
+      addedNodes.forEach(_fabricate.mountElements);
+    });
+  },
+  /**
+   * Get an element and all elements inside it.
+   *
+   * @param {Node} node - Node added or removed.
+   * @returns {Array<HTMLElement>} Elements.
+   */
+  getElementTree: (node) => (node.nodeType === 1 ? [node, ...node.querySelectorAll('*')] : []),
+  /**
+   * Run onMount handlers of elements now in the app root.
+   *
+   * @param {Node} node - Node added.
+   * @returns {void}
+   */
+  mountElements: (node) => {
+    const { lifecycleRoot } = _fabricate;
+
+    _fabricate.getElementTree(node)
+      .filter((el) => !el.isMounted && lifecycleRoot && lifecycleRoot.contains(el))
+      .forEach((el) => {
+        // eslint-disable-next-line no-param-reassign
+        el.isMounted = true;
+        // eslint-disable-next-line no-param-reassign
+        el.isDestroyed = false;
+        if (el.onMountHandlers) el.onMountHandlers.forEach((p) => p());
+      });
+  },
+  /**
+   * Run onUnmount handlers of elements no longer in the app root, and clean up any removed
+   * without fabricate.js.
+   *
+   * @param {Node} node - Node removed.
+   * @returns {void}
+   */
+  unmountElements: (node) => {
+    const { lifecycleRoot } = _fabricate;
+
+    _fabricate.getElementTree(node)
+      // Elements moved within the app are still mounted
+      .filter((el) => el.isMounted && !(lifecycleRoot && lifecycleRoot.contains(el)))
+      .forEach((el) => {
+        // eslint-disable-next-line no-param-reassign
+        el.isMounted = false;
+        if (el.onUnmountHandlers) el.onUnmountHandlers.forEach((p) => p());
+        _fabricate.destroyElement(el);
+      });
+  },
   /**
    * Get a copy of default options to prevent modification.
    *
@@ -92,113 +595,1909 @@ const _fabricate = {
    * @returns {void}
    */
   unregisterStateWatcher: (el) => {
-    const index = _fabricate.stateWatchers.findIndex((p) => p.el === el);
-    if (index < 0 && _fabricate.options.debug) {
-      console.warn('Not removing state watcher - not found');
-      console.warn(el);
+    const watchers = _fabricate.watcherRegistry.byEl.get(el);
+    if (!watchers) {
+      if (_fabricate.options.debug) {
+        console.warn('Not removing state watcher - not found');
+        console.warn(el);
+      }
       return;
     }
 
-    _fabricate.stateWatchers.splice(index, 1);
+    _fabricate.removeStateWatcher(watchers[0]);
   },
   /**
-   * Save current state to LocalStorage.
+   * Create an empty registry of state watchers, indexed by the keys they watch so that
+   * notifying an update only visits the watchers of the keys updated.
+   *
+   * @returns {object} Watcher registry.
+   */
+  createWatcherRegistry: () => ({
+    // All watchers, in the order they were added
+    all: new Set(),
+    // Watchers of each key, by the first part of any key path
+    byKey: new Map(),
+    // Watchers of all keys, or of key paths starting with '*'
+    wildcard: new Set(),
+    // Watchers of each element, to remove them when it is destroyed
+    byEl: new Map(),
+    nextId: 0,
+  }),
+  /**
+   * Get the key a watched or updated key is indexed by.
+   *
+   * @param {string} key - Key or key path.
+   * @returns {string} Index key.
+   */
+  getIndexKey: (key) => key.split('.')[0],
+  /**
+   * Add a state watcher to the registry.
+   *
+   * @param {object} watcher - Watcher with el, cb, and optional watchKeys.
+   * @returns {void}
    */
-  savePersistState: () => {
-    const { STORAGE_KEY_STATE, state, options: { persistState } } = _fabricate;
+  addStateWatcher: (watcher) => {
+    const registry = _fabricate.watcherRegistry;
+    const entry = { ...watcher, id: registry.nextId };
+    registry.nextId += 1;
+    registry.all.add(entry);
+
+    const indexKeys = (entry.watchKeys || []).map(_fabricate.getIndexKey);
+    if (!indexKeys.length || indexKeys.includes('*')) {
+      registry.wildcard.add(entry);
+    } else {
+      indexKeys.forEach((key) => {
+        if (!registry.byKey.has(key)) registry.byKey.set(key, new Set());
+        registry.byKey.get(key).add(entry);
+      });
+    }
 
-    // Store only those keys named for persistence
-    const toSave = Object.entries(state)
-      .filter(([k]) => persistState.includes(k))
-      .reduce((acc, [k, v]) => ({ ...acc, [k]: v }), {});
+    _fabricate.indexWatcherElement(entry);
 
-    setTimeout(() => {
-      localStorage.setItem(STORAGE_KEY_STATE, JSON.stringify(toSave));
-    }, 100);
+    // Only track the viewport once something needs it
+    if (indexKeys.includes(_fabricate.StateKeys.Viewport)) _fabricate.startViewport();
   },
   /**
-   * Load persisted state if it exists.
+   * Index a watcher by its element.
+   *
+   * @param {object} watcher - Watcher to index.
+   * @returns {void}
    */
-  loadPersistState: () => {
-    const { STORAGE_KEY_STATE } = _fabricate;
-
-    const loaded = JSON.parse(localStorage.getItem(STORAGE_KEY_STATE) || '{}');
-    _fabricate.state = {
-      ..._fabricate.state,
-      ...loaded,
-    };
+  indexWatcherElement: (watcher) => {
+    const { byEl } = _fabricate.watcherRegistry;
+    if (!byEl.has(watcher.el)) byEl.set(watcher.el, []);
+    byEl.get(watcher.el).push(watcher);
   },
   /**
-   * Notify watchers of a state change.
-   * Watchers receive (el, state, changedKeys)
+   * Remove a watcher from the index of its element.
+   *
+   * @param {object} watcher - Watcher to remove.
+   * @returns {void}
+   */
+  unindexWatcherElement: (watcher) => {
+    const { byEl } = _fabricate.watcherRegistry;
+    const elWatchers = byEl.get(watcher.el);
+    elWatchers.splice(elWatchers.indexOf(watcher), 1);
+    if (!elWatchers.length) byEl.delete(watcher.el);
+  },
+  /**
+   * Remove a state watcher from the registry.
    *
-   * @param {Array<string>} keys - Key that was updated.
+   * @param {object} watcher - Watcher to remove.
+   * @returns {void}
    */
-  notifyStateChange: (keys) => {
-    const { stateWatchers, state, options } = _fabricate;
-    const { persistState, debug } = options;
+  removeStateWatcher: (watcher) => {
+    const { all, byKey, wildcard } = _fabricate.watcherRegistry;
+    all.delete(watcher);
+    wildcard.delete(watcher);
 
-    const updateStart = Date.now();
-    if (persistState) _fabricate.savePersistState();
+    (watcher.watchKeys || []).map(_fabricate.getIndexKey).forEach((key) => {
+      const keyWatchers = byKey.get(key);
+      if (!keyWatchers) return;
 
-    _fabricate.currentUpdateKeys = keys;
+      keyWatchers.delete(watcher);
+      if (!keyWatchers.size) byKey.delete(key);
+    });
 
-    stateWatchers.forEach(({ el, cb, watchKeys }) => {
-      // If watchKeys is used, filter state updates
-      if (watchKeys && watchKeys.length > 0 && !keys.some((p) => watchKeys.includes(p))) return;
+    _fabricate.unindexWatcherElement(watcher);
+  },
+  /**
+   * Get the watchers that may be affected by an update, in the order they were added.
+   *
+   * @param {Array<string>} keys - Keys updated.
+   * @returns {Array<object>} Watchers.
+   */
+  getKeyWatchers: (keys) => {
+    const { byKey, wildcard } = _fabricate.watcherRegistry;
 
-      // Notify the watching component
-      cb(el, _fabricate.getStateCopy(), keys);
+    const found = new Set(wildcard);
+    keys.forEach((key) => {
+      const keyWatchers = byKey.get(_fabricate.getIndexKey(key));
+      if (keyWatchers) keyWatchers.forEach((p) => found.add(p));
     });
-    const msTaken = Date.now() - updateStart;
-    if (debug) {
-      console.log(`debug: update keys=${keys.join(',')} time=${msTaken}ms watchers=${stateWatchers.length} state=${JSON.stringify(state)}`);
-    }
+    return [...found].sort((a, b) => a.id - b.id);
+  },
+  /**
+   * Get the storage backend for persisted state, which has get and set functions
+   * that may return Promises.
+   *
+   * @param {string|object} storage - Name of a built-in storage, or custom storage.
+   * @returns {object} Storage backend.
+   */
+  getStorage: (storage) => {
+    if (typeof storage === 'object') return storage;
+    if (storage === 'indexedDB') return _fabricate.createIndexedDbStorage();
+
+    return {
+      /**
+       * Get a stored value.
+       *
+       * @param {string} key - Storage key.
+       * @returns {string|null} Stored value, if any.
+       */
+      get: (key) => window[storage].getItem(key),
+      /**
+       * Store a value.
+       *
+       * @param {string} key - Storage key.
+       * @param {string} value - Value to store.
+       * @returns {void}
+       */
+      set: (key, value) => window[storage].setItem(key, value),
+    };
+  },
+  /**
+   * Create a storage backend using IndexedDB.
+   *
+   * @returns {object} Storage backend.
+   */
+  createIndexedDbStorage: () => {
+    const { INDEXED_DB_NAME, INDEXED_DB_STORE } = _fabricate;
+    let dbPromise;
 
-    _fabricate.currentUpdateKeys = [];
+    /**
+     * Wait for an IndexedDB request to complete.
+     *
+     * @param {IDBRequest} request - Request.
+     * @returns {Promise<*>} Request result.
+     */
+    const waitForRequest = (request) => new Promise((resolve, reject) => {
+      /**
+       * When the request succeeds.
+       *
+       * @returns {void}
+       */
+      // eslint-disable-next-line no-param-reassign
+      request.onsuccess = () => resolve(request.result);
+      /**
+       * When the request fails.
+       *
+       * @returns {void}
+       */
+      // eslint-disable-next-line no-param-reassign
+      request.onerror = () => reject(request.error);
+    });
+
+    /**
+     * Run a request on the object store, opening the database first if needed.
+     *
+     * @param {string} mode - Transaction mode.
+     * @param {Function} requestCb - Make the request, given the object store.
+     * @returns {Promise<*>} Request result.
+     */
+    const runRequest = (mode, requestCb) => {
+      if (!dbPromise) {
+        const request = window.indexedDB.open(INDEXED_DB_NAME, 1);
+        /**
+         * Create the object store when the database is new.
+         *
+         * @returns {IDBObjectStore} New object store.
+         */
+        request.onupgradeneeded = () => request.result.createObjectStore(INDEXED_DB_STORE);
+        dbPromise = waitForRequest(request);
+      }
+
+      return dbPromise.then((db) => waitForRequest(
+        requestCb(db.transaction(INDEXED_DB_STORE, mode).objectStore(INDEXED_DB_STORE)),
+      ));
+    };
+
+    return {
+      /**
+       * Get a stored value.
+       *
+       * @param {string} key - Storage key.
+       * @returns {Promise<string|undefined>} Stored value, if any.
+       */
+      get: (key) => runRequest('readonly', (store) => store.get(key)),
+      /**
+       * Store a value.
+       *
+       * @param {string} key - Storage key.
+       * @param {string} value - Value to store.
+       * @returns {Promise<void>}
+       */
+      set: (key, value) => runRequest('readwrite', (store) => store.put(value, key)),
+    };
   },
   /**
-   * Validate loaded options. TypeScript users won't need this.
+   * Save current state to the storage backend, once updates have stopped for a while.
+   *
+   * @param {Array<string>} [keys] - Keys updated.
+   * @returns {void}
    */
-  validateOptions: () => {
+  savePersistState: (keys = []) => {
     const {
-      logStateUpdates, persistState, theme, disableGroupAddChildrenOptim, debug,
-    } = _fabricate.options;
+      STORAGE_KEY_STATE, STORAGE_KEY_VERSION, state, persistStorage, persistLoading, options,
+    } = _fabricate;
+    const {
+      persistState, storageKey = STORAGE_KEY_STATE, stateVersion, persistDebounceMs,
+    } = options;
 
-    if (logStateUpdates) {
-      throw new Error('logStateUpdates option is deprecated, use debug instead');
-    }
-    if (debug && typeof debug !== 'boolean') {
-      throw new Error(`debug option must be boolean, was ${typeof debug}`);
-    }
-    if (persistState && !Array.isArray(persistState)) {
-      throw new Error(`persistState option must be string array, was ${typeof persistState}`);
-    }
-    if (theme
-      && (
-        (typeof theme.palette !== 'object')
-        || (theme.styles && typeof theme.styles !== 'object')
-        || !theme.palette
-      )
-    ) {
-      throw new Error('theme option must contain .palette and/or .styles objects');
-    }
-    if (disableGroupAddChildrenOptim && typeof disableGroupAddChildrenOptim !== 'boolean') {
-      throw new Error(`disableGroupAddChildrenOptim option must be boolean, was ${typeof disableGroupAddChildrenOptim}`);
+    // Don't replace stored state before it is loaded, but save once it is
+    if (persistLoading) {
+      _fabricate.persistLoadingKeys.push(...keys.map(_fabricate.getRootKey));
+      return;
     }
+
+    // Store only those keys named for persistence
+    const toSave = Object.entries(state)
+      .filter(([k]) => persistState.includes(k))
+      .reduce((acc, [k, v]) => ({ ...acc, [k]: v }), {});
+    if (typeof stateVersion !== 'undefined') toSave[STORAGE_KEY_VERSION] = stateVersion;
+
+    const app = _fabricate.currentApp;
+    clearTimeout(_fabricate.persistTimer);
+    _fabricate.persistTimer = setTimeout(() => {
+      // Nothing to do if the same as stored, such as state from other tabs
+      const value = JSON.stringify(toSave);
+      if (value === app.lastStoredState) return;
+
+      app.lastStoredState = value;
+      if (app.tabSyncChannel) app.tabSyncChannel.postMessage(value);
+      Promise.resolve()
+        .then(() => persistStorage.set(storageKey, value))
+        .catch((err) => console.warn(`Failed to save persisted state: ${err.message}`));
+    }, persistDebounceMs);
   },
   /**
-   * If an element has stateWatchers, add them to the global list once it is added to the DOM.
-   * Prevents leaking them if the element is created but never used.
+   * Listen for persisted state saved by other tabs, using storage events for localStorage,
+   * or a BroadcastChannel otherwise.
    *
-   * @param {FabricateComponent} el - Element to check.
+   * @returns {void}
    */
-  applyStateWatchers: (el) => {
-    if (!el.stateWatchers.length) return;
+  startTabSync: () => {
+    const { STORAGE_KEY_STATE, options: { storage, storageKey = STORAGE_KEY_STATE } } = _fabricate;
+    const app = _fabricate.currentApp;
+
+    if (storage === 'localStorage') {
+      /**
+       * When another tab changes localStorage.
+       *
+       * @param {StorageEvent} e - Storage event.
+       * @returns {void}
+       */
+      _fabricate.tabSyncListener = ({ key, newValue, storageArea }) => {
+        if (key !== storageKey || storageArea !== window.localStorage) return;
+
+        _fabricate.runInApp(app, () => _fabricate.applyTabSyncState(newValue));
+      };
+      window.addEventListener('storage', _fabricate.tabSyncListener);
+      return;
+    }
 
-    el.stateWatchers.forEach((p) => _fabricate.stateWatchers.push(p));
-    // eslint-disable-next-line no-param-reassign
-    el.stateWatchers = [];
+    if (typeof window.BroadcastChannel === 'undefined') {
+      console.warn('syncTabs option requires BroadcastChannel when storage is not localStorage');
+      return;
+    }
+
+    _fabricate.tabSyncChannel = new window.BroadcastChannel(storageKey);
+    /**
+     * When another tab saves persisted state.
+     *
+     * @param {MessageEvent} e - Message event.
+     * @returns {void}
+     */
+    _fabricate.tabSyncChannel.onmessage = ({ data }) => _fabricate.runInApp(
+      app,
+      () => _fabricate.applyTabSyncState(data),
+    );
+  },
+  /**
+   * Update persisted keys with state saved by another tab, as any other update.
+   *
+   * @param {string|null} value - Persisted state saved by the other tab.
+   * @returns {void}
+   */
+  applyTabSyncState: (value) => {
+    const {
+      STORAGE_KEY_VERSION, state, apps, currentApp, options: { persistState, stateVersion },
+    } = _fabricate;
+    if (!value || !apps.includes(currentApp)) return;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (e) {
+      console.warn(`Ignoring invalid state from another tab: ${e.message}`);
+      return;
+    }
+
+    // Ignore tabs running another version
+    const { [STORAGE_KEY_VERSION]: version, ...incoming } = parsed || {};
+    if (typeof stateVersion !== 'undefined' && version !== stateVersion) return;
+
+    const keys = Object.keys(incoming)
+      .filter((k) => persistState.includes(k))
+      .filter((k) => JSON.stringify(incoming[k]) !== JSON.stringify(state[k]));
+    if (!keys.length) return;
+
+    // Don't save it again, which would echo it back to other tabs
+    _fabricate.lastStoredState = value;
+
+    // eslint-disable-next-line no-use-before-define
+    fabricate.update(keys.reduce((acc, k) => ({ ...acc, [k]: incoming[k] }), {}));
+  },
+  /**
+   * Load persisted state if it exists.
+   *
+   * @returns {Promise<Array<string>>|undefined} If loading is async, resolves with loaded keys.
+   */
+  loadPersistState: () => {
+    const { STORAGE_KEY_STATE, persistStorage, options } = _fabricate;
+    const { storageKey = STORAGE_KEY_STATE } = options;
+
+    const stored = persistStorage.get(storageKey);
+    if (!stored || typeof stored.then !== 'function') {
+      _fabricate.applyPersistState(stored);
+      return undefined;
+    }
+
+    // Wait for async storage, then let the app know
+    const app = _fabricate.currentApp;
+    return stored
+      .then((value) => _fabricate.runInApp(app, () => _fabricate.applyPersistState(value)))
+      .catch((err) => {
+        console.warn(`Failed to load persisted state: ${err.message}`);
+        return [];
+      });
+  },
+  /**
+   * Add loaded persisted state to the state, migrating it if the state version has changed.
+   *
+   * @param {string|null|undefined} stored - Stored state, if any.
+   * @returns {Array<string>} Keys loaded.
+   */
+  applyPersistState: (stored) => {
+    const {
+      STORAGE_KEY_VERSION, persistLoadingKeys, options: { stateVersion, migrate },
+    } = _fabricate;
+    if (!stored) return [];
+
+    const { [STORAGE_KEY_VERSION]: version = 0, ...loaded } = JSON.parse(stored);
+    let persisted = loaded;
+    if (typeof stateVersion !== 'undefined' && version !== stateVersion) {
+      // Old state is dropped if it can't be migrated
+      persisted = migrate ? migrate(loaded, version) : {};
+    }
+
+    // Keys updated while loading are newer
+    persisted = Object.entries(persisted)
+      .filter(([k]) => !persistLoadingKeys.includes(k))
+      .reduce((acc, [k, v]) => ({ ...acc, [k]: v }), {});
+
+    _fabricate.state = {
+      ..._fabricate.state,
+      ...persisted,
+    };
+    return Object.keys(persisted);
+  },
+  /**
+   * Notify watchers that the app has started, once any persisted state has loaded.
+   *
+   * @returns {void}
+   */
+  notifyAppInit: () => {
+    const { StateKeys: { Init }, persistLoading } = _fabricate;
+    if (!persistLoading) {
+      _fabricate.runPlugins('onAppStart', _fabricate.getStateCopy());
+      _fabricate.notifyStateChange([Init]);
+      return;
+    }
+
+    const app = _fabricate.currentApp;
+    persistLoading.then((keys) => _fabricate.runInApp(app, () => {
+      _fabricate.persistLoading = undefined;
+      if (!_fabricate.apps.includes(app)) return;
+
+      // Save any updates made while loading
+      if (_fabricate.persistLoadingKeys.length) {
+        _fabricate.persistLoadingKeys = [];
+        _fabricate.savePersistState();
+      }
+
+      _fabricate.runPlugins('onAppStart', _fabricate.getStateCopy());
+      _fabricate.notifyStateChange([Init, ...keys]);
+    }));
+  },
+  /**
+   * Built-in plugin logging updates in debug mode.
+   */
+  debugPlugin: {
+    name: 'debug',
+    /**
+     * Log the update.
+     *
+     * @param {Array<string>} keys - Keys updated.
+     * @param {object} state - State after the update.
+     * @param {number} msTaken - Time taken to notify watchers.
+     * @returns {void}
+     */
+    afterUpdate: (keys, state, msTaken) => {
+      if (!_fabricate.options.debug) return;
+
+      console.log(`debug: update keys=${keys.join(',')} time=${msTaken}ms watchers=${_fabricate.stateWatchers.length} state=${JSON.stringify(state)}`);
+    },
+  },
+  /**
+   * Built-in plugin saving persisted state.
+   */
+  persistPlugin: {
+    name: 'persistState',
+    /**
+     * Save the state if some is persisted.
+     *
+     * @param {Array<string>} keys - Keys updated.
+     * @returns {void}
+     */
+    afterUpdate: (keys) => {
+      if (_fabricate.options.persistState) _fabricate.savePersistState(keys);
+    },
+  },
+  /**
+   * Get the plugins that are always used.
+   *
+   * @returns {Array<object>} Built-in plugins.
+   */
+  getBuiltInPlugins: () => [_fabricate.debugPlugin, _fabricate.persistPlugin],
+  /**
+   * Run a hook of all plugins that have it.
+   *
+   * @param {string} hook - Hook name.
+   * @param {...*} args - Hook arguments.
+   * @returns {Array<*>} Results of each hook.
+   */
+  runPlugins: (hook, ...args) => _fabricate.plugins
+    .filter((p) => p[hook])
+    .map((p) => p[hook](...args)),
+  /**
+   * Notify watchers of a state change.
+   * Watchers receive (el, state, changedKeys)
+   *
+   * @param {Array<string>} updatedKeys - Key that was updated.
+   */
+  notifyStateChange: (updatedKeys) => {
+    const { watcherRegistry } = _fabricate;
+
+    const updateStart = Date.now();
+    const keys = _fabricate.recomputeStateKeys(updatedKeys);
+    if (_fabricate.recording) _fabricate.recordUpdate(keys);
+
+    _fabricate.currentUpdateKeys = keys;
+
+    let stateCopy;
+    let copiedState;
+    _fabricate.getKeyWatchers(keys).forEach((watcher) => {
+      const { el, cb, watchKeys } = watcher;
+
+      // Watchers removed by an earlier watcher are not notified
+      if (!watcherRegistry.all.has(watcher)) return;
+
+      // If watchKeys is used, filter key paths
+      if (
+        watchKeys
+        && watchKeys.length > 0
+        && !keys.some((p) => watchKeys.some((w) => _fabricate.isKeyMatch(w, p)))
+      ) return;
+
+      // Share one copy between watchers, unless one of them updated the state
+      if (copiedState !== _fabricate.state) {
+        copiedState = _fabricate.state;
+        stateCopy = _fabricate.getStateCopy();
+      }
+
+      // Notify the watching component
+      cb(el, stateCopy, keys);
+    });
+    const msTaken = Date.now() - updateStart;
+    _fabricate.runPlugins('afterUpdate', keys, _fabricate.getStateCopy(), msTaken);
+
+    _fabricate.currentUpdateKeys = [];
+  },
+  /**
+   * Recompute any computed keys that depend on those updated.
+   *
+   * @param {Array<string>} keys - Keys that were updated.
+   * @returns {Array<string>} Updated keys, including computed keys whose value changed.
+   */
+  recomputeStateKeys: (keys) => {
+    const allKeys = [...keys];
+
+    // In order of declaration, so computed keys can depend on earlier ones
+    Object.entries(_fabricate.computedKeys).forEach(([key, { deps, fn }]) => {
+      if (!deps.some((d) => allKeys.some((p) => _fabricate.isKeyMatch(d, p)))) return;
+
+      const newValue = fn(_fabricate.getStateCopy());
+      if (newValue === _fabricate.state[key]) return;
+
+      _fabricate.state[key] = newValue;
+      if (!allKeys.includes(key)) allKeys.push(key);
+    });
+
+    return allKeys;
+  },
+  /**
+   * Notify watchers of updated keys now, or remember them if updates are being batched.
+   *
+   * @param {Array<string>} keys - Keys that were updated.
+   * @returns {void}
+   */
+  handleUpdatedKeys: (keys) => {
+    const { batchDepth, options: { batchUpdates } } = _fabricate;
+
+    if (!batchDepth && !batchUpdates) {
+      _fabricate.notifyStateChange(keys);
+      return;
+    }
+
+    keys
+      .filter((p) => !_fabricate.pendingUpdateKeys.includes(p))
+      .forEach((p) => _fabricate.pendingUpdateKeys.push(p));
+
+    // Coalesce all updates made in this tick
+    if (!batchDepth && !_fabricate.flushScheduled) {
+      const app = _fabricate.currentApp;
+      _fabricate.flushScheduled = true;
+      queueMicrotask(() => _fabricate.runInApp(app, _fabricate.flushPendingUpdates));
+    }
+  },
+  /**
+   * Notify watchers once of all keys updated since the last flush.
+   *
+   * @returns {void}
+   */
+  flushPendingUpdates: () => {
+    const keys = _fabricate.pendingUpdateKeys;
+    _fabricate.pendingUpdateKeys = [];
+    _fabricate.flushScheduled = false;
+    if (!keys.length) return;
+
+    _fabricate.notifyStateChange(keys);
+  },
+  /**
+   * Check state keys can be updated.
+   *
+   * @param {Array<string>} keys - Keys being updated.
+   */
+  validateUpdateKeys: (keys) => {
+    const { state, computedKeys } = _fabricate;
+
+    // Computed keys are read-only
+    keys.forEach((key) => {
+      if (computedKeys[_fabricate.getRootKey(key)]) {
+        throw new Error(`Cannot update computed state key ${key} - update its dependencies instead`);
+      }
+    });
+
+    // Only allow known state key updates
+    keys
+      .filter((p) => !p.startsWith('fabricate:'))
+      .forEach((key) => {
+        if (typeof state[_fabricate.getRootKey(key)] === 'undefined') {
+          throw new Error(`Unknown state key ${key} - do you need to use buildKey()?`);
+        }
+      });
+  },
+  /**
+   * Get the state key holding a key path, such as 'settings' for 'settings.theme.dark'.
+   *
+   * @param {string} key - State key or key path.
+   * @returns {string} State key.
+   */
+  getRootKey: (key) => (typeof _fabricate.state[key] !== 'undefined' ? key : key.split('.')[0]),
+  /**
+   * Get the parts of a key path below its state key.
+   *
+   * @param {string} key - State key or key path.
+   * @returns {Array<string>} Path parts, empty for a state key.
+   */
+  getPathParts: (key) => {
+    const rootKey = _fabricate.getRootKey(key);
+    return rootKey === key ? [] : key.slice(rootKey.length + 1).split('.');
+  },
+  /**
+   * Get the value at a state key or key path.
+   *
+   * @param {object} state - State to read.
+   * @param {string} key - State key or key path.
+   * @returns {*} Value, if any.
+   */
+  getPathValue: (state, key) => _fabricate.getPathParts(key).reduce(
+    (acc, p) => (acc !== null && typeof acc === 'object' ? acc[p] : undefined),
+    state[_fabricate.getRootKey(key)],
+  ),
+  /**
+   * Copy a value with a nested value replaced, leaving the original unchanged.
+   *
+   * @param {*} target - Object or array to copy.
+   * @param {Array<string>} parts - Path parts to the nested value.
+   * @param {*} value - New nested value.
+   * @param {string} key - Key path, for errors.
+   * @returns {*} Copy with the new nested value.
+   */
+  setPathValue: (target, parts, value, key) => {
+    if (!parts.length) return value;
+    if (target !== null && typeof target !== 'undefined' && typeof target !== 'object') {
+      throw new Error(`Cannot update ${key} - ${JSON.stringify(target)} is not an object`);
+    }
+
+    const [first, ...rest] = parts;
+    const copy = Array.isArray(target) ? [...target] : { ...target };
+    copy[first] = _fabricate.setPathValue(copy[first], rest, value, key);
+    return copy;
+  },
+  /**
+   * Convert an update with key paths to new values of the state keys holding them.
+   *
+   * @param {object} values - Values of state keys or key paths.
+   * @returns {object} Values of state keys.
+   */
+  expandKeyPaths: (values) => Object.entries(values).reduce((acc, [key, value]) => {
+    const rootKey = _fabricate.getRootKey(key);
+    if (rootKey === key) return { ...acc, [key]: value };
+
+    const target = typeof acc[rootKey] !== 'undefined' ? acc[rootKey] : _fabricate.state[rootKey];
+    return {
+      ...acc,
+      [rootKey]: _fabricate.setPathValue(target, _fabricate.getPathParts(key), value, key),
+    };
+  }, {}),
+  /**
+   * Get only the values of an update that are different to those in state.
+   *
+   * @param {object} values - Values of state keys or key paths.
+   * @returns {object} Changed values.
+   */
+  getChangedValues: (values) => Object.entries(values)
+    .filter(([k, v]) => _fabricate.getPathValue(_fabricate.state, k) !== v)
+    .reduce((acc, [k, v]) => ({ ...acc, [k]: v }), {}),
+  /**
+   * Check if two values are equal, comparing the items or properties of arrays and objects.
+   *
+   * @param {*} a - First value.
+   * @param {*} b - Second value.
+   * @returns {boolean} true if equal.
+   */
+  isShallowEqual: (a, b) => {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const aKeys = Object.keys(a);
+    return aKeys.length === Object.keys(b).length && aKeys.every((k) => a[k] === b[k]);
+  },
+  /**
+   * Check if a watched key or key path is affected by an updated one. A change to a path
+   * also changes the paths above and below it, and '*' matches any one part.
+   *
+   * @param {string} watchKey - Key or key path watched, such as 'todos.*.done'.
+   * @param {string} key - Key or key path updated.
+   * @returns {boolean} true if the watched key is affected.
+   */
+  isKeyMatch: (watchKey, key) => {
+    if (watchKey === key) return true;
+
+    const watchParts = watchKey.split('.');
+    const keyParts = key.split('.');
+    const length = Math.min(watchParts.length, keyParts.length);
+    return watchParts.slice(0, length).every((p, i) => p === '*' || p === keyParts[i]);
+  },
+  /**
+   * Get the current values of keys recorded in history, before they are updated.
+   *
+   * @param {Array<string>} keys - Keys being updated.
+   * @returns {object|undefined} Current values, if any keys are recorded.
+   */
+  getHistoryValues: (keys) => {
+    const { state, options: { history } } = _fabricate;
+    if (!history) return undefined;
+
+    return keys
+      .filter((p) => history.includes(p))
+      .reduce((acc, k) => ({ ...acc, [k]: state[k] }), {});
+  },
+  /**
+   * Record an update in history as one undo step, or part of the current transaction.
+   *
+   * @param {object|undefined} previous - Values of recorded keys before the update.
+   * @returns {void}
+   */
+  recordHistory: (previous) => {
+    const { state } = _fabricate;
+    if (!previous) return;
+
+    const keys = Object.keys(previous).filter((k) => previous[k] !== state[k]);
+    if (!keys.length) return;
+
+    const step = _fabricate.transactionStep || { before: {}, after: {} };
+    keys.forEach((k) => {
+      if (!(k in step.before)) step.before[k] = previous[k];
+      step.after[k] = state[k];
+    });
+    _fabricate.redoSteps = [];
+
+    // Transaction step is added once complete
+    if (!_fabricate.transactionStep) _fabricate.addUndoStep(step);
+  },
+  /**
+   * Add an undo step, forgetting the oldest if there are too many.
+   *
+   * @param {object} step - Step with values before and after.
+   */
+  addUndoStep: (step) => {
+    const { undoSteps, options: { historyLimit } } = _fabricate;
+
+    undoSteps.push(step);
+    if (undoSteps.length > historyLimit) undoSteps.shift();
+  },
+  /**
+   * Apply one side of an undo step, notifying watchers of the keys affected.
+   *
+   * @param {object} values - Values from the step to apply.
+   */
+  applyHistoryValues: (values) => {
+    _fabricate.state = { ..._fabricate.state, ...values };
+    _fabricate.handleUpdatedKeys(Object.keys(values));
+  },
+  /**
+   * Add an update to the recording, with the new values of keys updated.
+   *
+   * @param {Array<string>} keys - Keys updated.
+   * @returns {void}
+   */
+  recordUpdate: (keys) => {
+    const { StateKeys: { Init, Created, Route }, state, recording } = _fabricate;
+
+    // Only keys holding state can be replayed
+    const stateKeys = keys.filter((p) => ![Init, Created].includes(p));
+    if (!stateKeys.length) return;
+
+    recording.updates.push({
+      keys: stateKeys,
+      values: stateKeys
+        .reduce((acc, k) => ({ ...acc, [k]: _fabricate.getPathValue(state, k) }), {}),
+      timestamp: Date.now(),
+      route: state[Route],
+    });
+  },
+  /**
+   * Show the state at a position in the replayed recording, notifying watchers of keys
+   * that changed.
+   *
+   * @param {number} position - Number of updates applied.
+   * @param {Array<string>} keys - Keys that changed.
+   */
+  showReplayPosition: (position, keys) => {
+    const { StateKeys: { Route }, replay: { initialState, updates } } = _fabricate;
+
+    _fabricate.replay.position = position;
+    _fabricate.state = updates
+      .slice(0, position)
+      .reduce((acc, { values }) => Object.entries(values).reduce((acc2, [key, value]) => {
+        // Key paths replace nested values, as in update()
+        const rootKey = _fabricate.getRootKey(key);
+        return {
+          ...acc2,
+          [rootKey]: _fabricate.setPathValue(
+            acc2[rootKey],
+            _fabricate.getPathParts(key),
+            value,
+            key,
+          ),
+        };
+      }, acc), { ...initialState });
+
+    // Keep the route history in step too
+    const route = _fabricate.state[Route];
+    const { routeHistory } = _fabricate;
+    if (routeHistory && route && routeHistory[routeHistory.length - 1] !== route) {
+      routeHistory.push(route);
+    }
+
+    _fabricate.handleUpdatedKeys(keys);
+  },
+  /**
+   * Validate loaded options. TypeScript users won't need this.
+   */
+  validateOptions: () => {
+    const {
+      logStateUpdates, persistState, theme, themes, disableGroupAddChildrenOptim, debug,
+      batchUpdates, storage, storageKey, stateVersion, migrate, persistDebounceMs, syncTabs,
+      history, historyLimit, schema, skipUnchangedUpdates, observeLifecycle, breakpoints,
+    } = _fabricate.options;
+
+    if (logStateUpdates) {
+      throw new Error('logStateUpdates option is deprecated, use debug instead');
+    }
+    if (debug && typeof debug !== 'boolean') {
+      throw new Error(`debug option must be boolean, was ${typeof debug}`);
+    }
+    if (persistState && !Array.isArray(persistState)) {
+      throw new Error(`persistState option must be string array, was ${typeof persistState}`);
+    }
+    if (themes) {
+      if (typeof themes !== 'object') throw new Error(`themes option must be object, was ${typeof themes}`);
+
+      Object.entries(themes).forEach(([name, p]) => {
+        if (!_fabricate.isValidTheme(p)) {
+          throw new Error(`themes option theme ${name} must contain .palette and/or .styles objects`);
+        }
+      });
+    }
+    if (typeof theme === 'string') {
+      if (!themes || !themes[theme]) throw new Error(`theme option ${theme} is not in the themes option`);
+    } else if (theme && !_fabricate.isValidTheme(theme)) {
+      throw new Error('theme option must contain .palette and/or .styles objects');
+    }
+    if (disableGroupAddChildrenOptim && typeof disableGroupAddChildrenOptim !== 'boolean') {
+      throw new Error(`disableGroupAddChildrenOptim option must be boolean, was ${typeof disableGroupAddChildrenOptim}`);
+    }
+    if (batchUpdates && typeof batchUpdates !== 'boolean') {
+      throw new Error(`batchUpdates option must be boolean, was ${typeof batchUpdates}`);
+    }
+    if (
+      !_fabricate.STORAGE_NAMES.includes(storage)
+      && (!storage || typeof storage.get !== 'function' || typeof storage.set !== 'function')
+    ) {
+      throw new Error(`storage option must be one of ${_fabricate.STORAGE_NAMES.join(', ')}, or object with get and set functions`);
+    }
+    if (typeof storageKey !== 'undefined' && (typeof storageKey !== 'string' || !storageKey)) {
+      throw new Error(`storageKey option must be string, was ${typeof storageKey}`);
+    }
+    if (typeof stateVersion !== 'undefined' && typeof stateVersion !== 'number') {
+      throw new Error(`stateVersion option must be number, was ${typeof stateVersion}`);
+    }
+    if (migrate && typeof migrate !== 'function') {
+      throw new Error(`migrate option must be function, was ${typeof migrate}`);
+    }
+    if (typeof persistDebounceMs !== 'number' || persistDebounceMs < 0) {
+      throw new Error('persistDebounceMs option must be a number of milliseconds');
+    }
+    if (syncTabs && typeof syncTabs !== 'boolean') {
+      throw new Error(`syncTabs option must be boolean, was ${typeof syncTabs}`);
+    }
+    if (history && !Array.isArray(history)) {
+      throw new Error(`history option must be string array, was ${typeof history}`);
+    }
+    if (!Number.isInteger(historyLimit) || historyLimit < 1) {
+      throw new Error('historyLimit option must be a positive integer');
+    }
+    if (schema) {
+      if (typeof schema !== 'object') throw new Error(`schema option must be object, was ${typeof schema}`);
+
+      Object.entries(schema).forEach(([key, type]) => _fabricate.validateSchemaType(type, key));
+    }
+    if (skipUnchangedUpdates && typeof skipUnchangedUpdates !== 'boolean') {
+      throw new Error(`skipUnchangedUpdates option must be boolean, was ${typeof skipUnchangedUpdates}`);
+    }
+    if (observeLifecycle && typeof observeLifecycle !== 'boolean') {
+      throw new Error(`observeLifecycle option must be boolean, was ${typeof observeLifecycle}`);
+    }
+    if (breakpoints) {
+      if (typeof breakpoints !== 'object' || !Object.keys(breakpoints).length) {
+        throw new Error('breakpoints option must be object of breakpoint minimum widths');
+      }
+
+      Object.entries(breakpoints).forEach(([name, minWidth]) => {
+        if (typeof minWidth !== 'number' || minWidth < 0) {
+          throw new Error(`breakpoints option breakpoint ${name} must be a minimum width number`);
+        }
+      });
+    }
+  },
+  /**
+   * Check a theme has a palette, and styles if any.
+   *
+   * @param {object} theme - Theme to check.
+   * @returns {boolean} true if the theme is valid.
+   */
+  isValidTheme: (theme) => !!theme
+    && typeof theme === 'object'
+    && !!theme.palette
+    && typeof theme.palette === 'object'
+    && (!theme.styles || typeof theme.styles === 'object'),
+  /**
+   * Get a state schema type as an object, allowing type names as shorthand.
+   *
+   * @param {string|object} type - Schema type.
+   * @returns {object} Schema type object.
+   */
+  toSchemaType: (type) => (typeof type === 'string' ? { type } : type),
+  /**
+   * Check a state schema type is valid, including any nested types.
+   *
+   * @param {string|object} schemaType - Schema type.
+   * @param {string} path - Key path of the type, for errors.
+   */
+  validateSchemaType: (schemaType, path) => {
+    const {
+      type, items, shape, values,
+    } = _fabricate.toSchemaType(schemaType) || {};
+    if (!_fabricate.SCHEMA_TYPES.includes(type)
+      || (type === 'enum' && !Array.isArray(values))
+      || (shape && typeof shape !== 'object')
+    ) {
+      throw new Error(`Invalid schema type for ${path}`);
+    }
+
+    if (items) _fabricate.validateSchemaType(items, `${path}[]`);
+    if (shape) {
+      Object.entries(shape).forEach(([k, p]) => _fabricate.validateSchemaType(p, `${path}.${k}`));
+    }
+  },
+  /**
+   * Get the schema type of a state key, which may match a key pattern such as 'user:*'.
+   *
+   * @param {string} key - State key.
+   * @returns {string|object|undefined} Schema type, if any.
+   */
+  getSchemaType: (key) => {
+    const { schema } = _fabricate.options;
+    if (!schema) return undefined;
+    if (schema[key]) return schema[key];
+
+    const pattern = Object.keys(schema)
+      .filter((p) => p.includes('*'))
+      .find((p) => new RegExp(`^${p.split('*').map(_fabricate.escapeRegExp).join('.*')}$`).test(key));
+    return pattern ? schema[pattern] : undefined;
+  },
+  /**
+   * Escape text for use in a regular expression.
+   *
+   * @param {string} text - Text to escape.
+   * @returns {string} Escaped text.
+   */
+  escapeRegExp: (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+  /**
+   * Describe a schema type for errors.
+   *
+   * @param {string|object} schemaType - Schema type.
+   * @returns {string} Description.
+   */
+  describeSchemaType: (schemaType) => {
+    const {
+      type, items, values, nullable,
+    } = _fabricate.toSchemaType(schemaType);
+
+    let description = type;
+    if (type === 'array' && items) description = `array of ${_fabricate.describeSchemaType(items)}`;
+    if (type === 'enum') description = `one of ${JSON.stringify(values)}`;
+    return nullable ? `${description} or null` : description;
+  },
+  /**
+   * Check a value matches a schema type, including any nested values.
+   *
+   * @param {string|object} schemaType - Schema type.
+   * @param {*} value - Value to check.
+   * @param {string} path - Key path of the value, for errors.
+   */
+  checkSchemaValue: (schemaType, value, path) => {
+    const {
+      type, items, shape, values, nullable,
+    } = _fabricate.toSchemaType(schemaType);
+    if (type === 'any' || (nullable && (value === null || typeof value === 'undefined'))) return;
+
+    const isMatch = {
+      string: typeof value === 'string',
+      number: typeof value === 'number',
+      boolean: typeof value === 'boolean',
+      array: Array.isArray(value),
+      object: !!value && typeof value === 'object' && !Array.isArray(value),
+      enum: type === 'enum' && values.includes(value),
+    }[type];
+    if (!isMatch) {
+      const received = typeof value === 'undefined' ? 'undefined' : JSON.stringify(value);
+      throw new Error(`State key ${path} expected ${_fabricate.describeSchemaType(schemaType)}, received ${received}`);
+    }
+
+    if (type === 'array' && items) {
+      value.forEach((p, i) => _fabricate.checkSchemaValue(items, p, `${path}[${i}]`));
+    }
+    if (type === 'object' && shape) {
+      Object.entries(shape)
+        .forEach(([k, p]) => _fabricate.checkSchemaValue(p, value[k], `${path}.${k}`));
+    }
+  },
+  /**
+   * Check state values match the schema, if there is one.
+   *
+   * @param {object} values - State values by key.
+   */
+  validateStateValues: (values) => {
+    if (!_fabricate.options.schema) return;
+
+    Object.entries(values).forEach(([key, value]) => {
+      const schemaType = _fabricate.getSchemaType(key);
+      if (schemaType) _fabricate.checkSchemaValue(schemaType, value, key);
+    });
+  },
+  /**
+   * If an element has stateWatchers, add them to the global list once it is added to the DOM.
+   * Prevents leaking them if the element is created but never used.
+   *
+   * @param {FabricateComponent} el - Element to check.
+   */
+  applyStateWatchers: (el) => {
+    if (!el.stateWatchers.length) return;
+
+    el.stateWatchers.forEach(_fabricate.addStateWatcher);
+    // eslint-disable-next-line no-param-reassign
+    el.stateWatchers = [];
+  },
+  /**
+   * Match a route pattern such as '/users/:id' against a route.
+   *
+   * @param {string} pattern - Route pattern from the router.
+   * @param {string} route - Route to test.
+   * @returns {object|undefined} Route params if the route matches.
+   */
+  matchRoutePattern: (pattern, route) => {
+    const patternParts = pattern.split('/');
+    const routeParts = route.split('/');
+    if (patternParts.length !== routeParts.length) return undefined;
+
+    const params = {};
+    const isMatch = patternParts.every((part, i) => {
+      if (!part.startsWith(':')) return part === routeParts[i];
+
+      params[part.slice(1)] = decodeURIComponent(routeParts[i]);
+      return routeParts[i].length > 0;
+    });
+    return isMatch ? params : undefined;
+  },
+  /**
+   * Join a child route to its parent's pattern. A child route of '/' is the parent's index.
+   *
+   * @param {string} prefix - Parent route pattern, if any.
+   * @param {string} key - Route key in the router.
+   * @returns {string} Full route pattern.
+   */
+  joinRoutePattern: (prefix, key) => {
+    if (key === '/') return prefix || '/';
+
+    return `${prefix}${key}`;
+  },
+  /**
+   * Flatten nested routes into a list of full patterns, each with the patterns and
+   * route objects of every level of nesting.
+   *
+   * @param {object} routes - Routes at this level.
+   * @param {string} [prefix] - Parent route pattern, if any.
+   * @param {object} [parent] - Parent route patterns and route objects.
+   * @returns {Array<object>} Flattened routes.
+   */
+  flattenRoutes: (routes, prefix = '', parent = { patterns: [], defs: [] }) => Object
+    .entries(routes)
+    .reduce((acc, [key, routeDef]) => {
+      const pattern = _fabricate.joinRoutePattern(prefix, key);
+      const routeObject = _fabricate.toRouteObject(routeDef);
+      const route = {
+        pattern,
+        patterns: [...parent.patterns, pattern],
+        defs: [...parent.defs, routeObject],
+      };
+      const { children } = routeObject;
+      const childRoutes = children ? _fabricate.flattenRoutes(children, pattern, route) : [];
+
+      // Children first, so index routes take precedence over their parent
+      return [...acc, ...childRoutes, route];
+    }, []),
+  /**
+   * Find the first route in the router matching a route, or the '*' route if declared.
+   *
+   * @param {string} route - Route to match.
+   * @returns {object|undefined} Matching pattern, params, and nested patterns and route objects.
+   */
+  matchRoute: (route) => {
+    const { routes } = _fabricate;
+    if (!routes || typeof route !== 'string') return undefined;
+
+    const patternRoutes = routes.filter((p) => p.pattern !== '*');
+    for (let i = 0; i < patternRoutes.length; i += 1) {
+      const params = _fabricate.matchRoutePattern(patternRoutes[i].pattern, route);
+      if (params) return { ...patternRoutes[i], params };
+    }
+
+    const notFound = routes.find((p) => p.pattern === '*');
+    return notFound ? { ...notFound, params: {} } : undefined;
+  },
+  /**
+   * Update route state, including any route params.
+   *
+   * @param {string} route - New route.
+   */
+  updateRoute: (route) => {
+    const { StateKeys: { Route, RouteParams } } = _fabricate;
+    const { params } = _fabricate.matchRoute(route);
+    const from = _fabricate.state[Route];
+
+    _fabricate.state = { ..._fabricate.state, [Route]: route, [RouteParams]: params };
+    _fabricate.handleUpdatedKeys([Route, RouteParams]);
+    _fabricate.runPlugins('onNavigate', from, route);
+  },
+  /**
+   * Get the route from the browser location, according to router mode.
+   *
+   * @returns {string} Route in the URL.
+   */
+  getBrowserRoute: () => {
+    const { pathname, hash } = window.location;
+
+    return _fabricate.routerMode === 'hash' ? (hash.slice(1) || '/') : pathname;
+  },
+  /**
+   * Add a route to the browser history, according to router mode, with its position in
+   * the route history.
+   *
+   * @param {string} route - New route.
+   * @param {boolean} [replace] - Replace the current entry instead of adding one.
+   */
+  pushBrowserRoute: (route, replace = false) => {
+    const { routerMode, routeHistory } = _fabricate;
+    if (routerMode === 'memory') return;
+
+    const url = routerMode === 'hash' ? `#${route}` : route;
+    const position = routeHistory ? routeHistory.length - 1 : 0;
+    if (replace) {
+      window.history.replaceState({ route, position }, '', url);
+      return;
+    }
+
+    window.history.pushState({ route, position }, '', url);
+  },
+  /**
+   * When the browser route changes due to back/forward navigation.
+   *
+   * @param {PopStateEvent} e - Popstate event.
+   * @returns {void}
+   */
+  onBrowserRouteChange: ({ state }) => {
+    const { routeHistory } = _fabricate;
+    const route = _fabricate.getBrowserRoute();
+    const [last] = routeHistory.slice(-1);
+    if (route === last || !_fabricate.matchRoute(route)) return;
+
+    // Keep the URL in sync if a guard cancels
+    const target = _fabricate.resolveRouteGuards(last, route) || last;
+    if (target === last) {
+      _fabricate.pushBrowserRoute(target, true);
+      return;
+    }
+
+    // Going back returns to an earlier position, instead of adding to the history
+    const position = state ? state.position : undefined;
+    if (typeof position === 'number' && position < routeHistory.length - 1) {
+      routeHistory.splice(position);
+    }
+    routeHistory.push(target);
+
+    // Keep the URL in sync if a guard redirects, and remember the position
+    _fabricate.pushBrowserRoute(target, true);
+    _fabricate.updateRoute(target);
+  },
+  /**
+   * Check a route definition is a builder function, or route object.
+   *
+   * @param {Function|object} routeDef - Route definition.
+   * @returns {boolean} true if the route definition is valid.
+   */
+  isValidRouteDef: (routeDef) => {
+    if (typeof routeDef === 'function') return true;
+    if (!routeDef || typeof routeDef !== 'object' || typeof routeDef.builder !== 'function') return false;
+
+    const { children } = routeDef;
+    if (children && (
+      typeof children !== 'object'
+      || !Object.entries(children).every(
+        ([route, childDef]) => route.startsWith('/') && _fabricate.isValidRouteDef(childDef),
+      )
+    )) {
+      return false;
+    }
+
+    return ['beforeEnter', 'load'].every((p) => !routeDef[p] || typeof routeDef[p] === 'function');
+  },
+  /**
+   * Get a route definition as a route object.
+   *
+   * @param {Function|object} routeDef - Route definition.
+   * @returns {object} Route object with builder and optional beforeEnter, load, and children.
+   */
+  toRouteObject: (routeDef) => (typeof routeDef === 'function' ? { builder: routeDef } : routeDef),
+  /**
+   * Build a route layout, allowing fabricate.outlet() to be used inside it.
+   *
+   * @param {Function|undefined} outletBuilder - Builds the outlet for child routes, if any.
+   * @param {Function} builderCb - Builds the route layout.
+   * @returns {FabricateComponent} Route layout.
+   */
+  buildWithRouteOutlet: (outletBuilder, builderCb) => {
+    const previous = _fabricate.routeOutlet;
+    _fabricate.routeOutlet = outletBuilder;
+    try {
+      return builderCb();
+    } finally {
+      _fabricate.routeOutlet = previous;
+    }
+  },
+  /**
+   * Run route guards for a navigation, following any redirects.
+   *
+   * @param {string|undefined} from - Current route, if any.
+   * @param {string} to - Route being navigated to.
+   * @param {number} [redirects] - Number of redirects so far.
+   * @returns {string|undefined} Route to navigate to, or undefined if cancelled.
+   */
+  resolveRouteGuards: (from, to, redirects = 0) => {
+    const match = _fabricate.matchRoute(to);
+    if (!match) throw new Error(`Unknown route: ${to}`);
+
+    // Parent route guards run first, and the first to object wins
+    let result;
+    match.defs.some(({ beforeEnter }) => {
+      if (!beforeEnter) return false;
+
+      result = beforeEnter(_fabricate.getStateCopy(), from, to);
+      return result === false || (typeof result === 'string' && result !== to);
+    });
+    if (result === false) return undefined;
+    if (typeof result !== 'string' || result === to) return to;
+
+    if (redirects >= _fabricate.MAX_ROUTE_REDIRECTS) {
+      throw new Error(`Too many route guard redirects from ${from} to ${to}`);
+    }
+    return _fabricate.resolveRouteGuards(from, result, redirects + 1);
+  },
+  /**
+   * Create an element, or a minimal stand-in when rendering to string or there is no document.
+   *
+   * @param {string} tagName - HTML tag name.
+   * @returns {HTMLElement|object} New element.
+   */
+  createElement: (tagName) => {
+    if (!_fabricate.isRenderingToString && typeof document !== 'undefined') {
+      return document.createElement(tagName);
+    }
+
+    return _fabricate.createServerElement(tagName);
+  },
+  /**
+   * Create a minimal element with enough of the HTMLElement API to build a component tree
+   * and render it to string. Event listeners are ignored.
+   *
+   * @param {string} tagName - HTML tag name.
+   * @returns {object} New server element.
+   */
+  createServerElement: (tagName) => {
+    const el = {
+      isServerElement: true,
+      tagName: tagName.toUpperCase(),
+      style: {},
+      attributes: {},
+      childNodes: [],
+      parentNode: null,
+      innerHTML: '',
+      innerText: undefined,
+      /**
+       * Event listeners are ignored.
+       */
+      addEventListener: () => {},
+      /**
+       * Event listeners are ignored.
+       */
+      removeEventListener: () => {},
+      /**
+       * Set an attribute.
+       *
+       * @param {string} name - Attribute name.
+       * @param {*} value - Attribute value.
+       */
+      setAttribute: (name, value) => {
+        el.attributes[name] = `${value}`;
+      },
+      /**
+       * Get an attribute.
+       *
+       * @param {string} name - Attribute name.
+       * @returns {string|null} Attribute value, if set.
+       */
+      getAttribute: (name) => (typeof el.attributes[name] !== 'undefined' ? `${el.attributes[name]}` : null),
+      /**
+       * Insert a child before another, or at the end.
+       *
+       * @param {object} child - Child to insert.
+       * @param {object|null} ref - Child to insert before.
+       * @returns {object} The inserted child.
+       */
+      insertBefore: (child, ref) => {
+        if (child.parentNode) child.remove();
+
+        const index = ref ? el.childNodes.indexOf(ref) : -1;
+        if (index < 0) {
+          el.childNodes.push(child);
+        } else {
+          el.childNodes.splice(index, 0, child);
+        }
+
+        // eslint-disable-next-line no-param-reassign
+        child.parentNode = el;
+        return child;
+      },
+      /**
+       * Append a child.
+       *
+       * @param {object} child - Child to append.
+       * @returns {object} The appended child.
+       */
+      appendChild: (child) => el.insertBefore(child, null),
+      /**
+       * Remove from the parent.
+       */
+      remove: () => {
+        if (!el.parentNode) return;
+
+        const siblings = el.parentNode.childNodes;
+        siblings.splice(siblings.indexOf(el), 1);
+        el.parentNode = null;
+      },
+    };
+
+    // All children are elements
+    Object.defineProperties(el, {
+      children: {
+        /**
+         * @returns {Array<object>} Child elements.
+         */
+        get: () => el.childNodes,
+      },
+      childElementCount: {
+        /**
+         * @returns {number} Number of child elements.
+         */
+        get: () => el.childNodes.length,
+      },
+      firstElementChild: {
+        /**
+         * @returns {object|null} First child element, if any.
+         */
+        get: () => el.childNodes[0] || null,
+      },
+      nextElementSibling: {
+        /**
+         * @returns {object|null} Next sibling element, if any.
+         */
+        get: () => {
+          if (!el.parentNode) return null;
+
+          const siblings = el.parentNode.childNodes;
+          return siblings[siblings.indexOf(el) + 1] || null;
+        },
+      },
+    });
+
+    return el;
+  },
+  /**
+   * Escape text for use in HTML.
+   *
+   * @param {*} text - Text to escape.
+   * @returns {string} Escaped text.
+   */
+  escapeHtml: (text) => `${text}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;'),
+  /**
+   * Render a server element and its children to a HTML string, including inline styles.
+   *
+   * @param {object} el - Server element to render.
+   * @returns {string} HTML string.
+   */
+  renderElementToString: (el) => {
+    const { VOID_ELEMENTS, ATTRIBUTE_NAMES, escapeHtml } = _fabricate;
+    const tagName = el.tagName.toLowerCase();
+
+    const style = Object.entries(el.style)
+      .filter(([, v]) => typeof v !== 'undefined' && v !== null && v !== '')
+      .map(([k, v]) => `${_fabricate.toCssProperty(k)}:${v}`)
+      .join(';');
+    const attributes = Object.entries({ ...el.attributes, ...(style ? { style } : {}) })
+      .filter(([, v]) => typeof v !== 'undefined' && v !== null && v !== false)
+      .map(([k, v]) => {
+        const name = ATTRIBUTE_NAMES[k] || k;
+        return v === true ? ` ${name}` : ` ${name}="${escapeHtml(v)}"`;
+      })
+      .join('');
+    if (VOID_ELEMENTS.includes(tagName)) return `<${tagName}${attributes}>`;
+
+    const text = typeof el.innerText !== 'undefined' ? escapeHtml(el.innerText) : '';
+    const children = el.childNodes.map(_fabricate.renderElementToString).join('');
+    return `<${tagName}${attributes}>${el.innerHTML}${text}${children}</${tagName}>`;
+  },
+  /**
+   * Convert a style property name to its CSS name, such as 'fontSize' to 'font-size'.
+   *
+   * @param {string} name - Style property name.
+   * @returns {string} CSS property name.
+   */
+  toCssProperty: (name) => {
+    // CSS custom properties are named as they are
+    if (name.startsWith('--')) return name;
+
+    return name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+  },
+  /**
+   * Hash a string to a short name-safe value.
+   *
+   * @param {string} str - String to hash.
+   * @returns {string} Hash.
+   */
+  hashString: (str) => {
+    let hash = 5381;
+    for (let i = 0; i < str.length; i += 1) {
+      // eslint-disable-next-line no-bitwise
+      hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+    }
+
+    // eslint-disable-next-line no-bitwise
+    return (hash >>> 0).toString(36);
+  },
+  /**
+   * Build CSS rules for a selector from a styles object. Object values are nested rules:
+   * pseudo-selectors like ':hover', selectors using '&' for the parent, at-rules like
+   * '@media', or else descendant selectors.
+   *
+   * @param {string} selector - Selector of the rules.
+   * @param {object} styles - Styles object.
+   * @returns {Array<string>} CSS rules.
+   */
+  buildCssRules: (selector, styles) => {
+    const declarations = Object.entries(styles)
+      .filter(([, v]) => typeof v !== 'object' && typeof v !== 'undefined' && v !== '')
+      .map(([k, v]) => `${_fabricate.toCssProperty(k)}:${v}`);
+    const rules = declarations.length ? [`${selector}{${declarations.join(';')}}`] : [];
+
+    Object.entries(styles)
+      .filter(([, v]) => v && typeof v === 'object')
+      .forEach(([k, v]) => {
+        if (k.startsWith('@')) {
+          rules.push(`${k}{${_fabricate.buildCssRules(selector, v).join('')}}`);
+          return;
+        }
+
+        let nested = `${selector} ${k}`;
+        if (k.includes('&')) {
+          nested = k.replace(/&/g, selector);
+        } else if (k.startsWith(':')) {
+          nested = `${selector}${k}`;
+        }
+        rules.push(..._fabricate.buildCssRules(nested, v));
+      });
+    return rules;
+  },
+  /**
+   * Add CSS to the managed stylesheet once for each name.
+   *
+   * @param {string} name - Generated class or keyframes name.
+   * @param {string} css - CSS rules.
+   */
+  addStyleRules: (name, css) => {
+    const { styleRules, styleSheet, STYLE_SHEET_ID } = _fabricate;
+    const isNew = !styleRules.has(name);
+    styleRules.set(name, css);
+    if (_fabricate.isRenderingToString || typeof document === 'undefined') return;
+
+    if (styleSheet && document.contains(styleSheet)) {
+      if (isNew) styleSheet.appendChild(document.createTextNode(css));
+      return;
+    }
+
+    // First use or removed from the page, and the server may have rendered some rules already
+    const sheet = document.getElementById(STYLE_SHEET_ID)
+      || document.head.appendChild(document.createElement('style'));
+    sheet.id = STYLE_SHEET_ID;
+    const { textContent } = sheet;
+    const missing = [...styleRules.values()].filter((p) => !textContent.includes(p));
+    if (missing.length) sheet.appendChild(document.createTextNode(missing.join('\n')));
+    _fabricate.styleSheet = sheet;
+  },
+  /**
+   * Add keyframes to the managed stylesheet, named by a hash of the frames.
+   *
+   * @param {object} frames - Styles for each frame.
+   * @returns {string} Generated animation name.
+   */
+  addKeyframes: (frames) => {
+    const name = `fab-kf-${_fabricate.hashString(JSON.stringify(frames))}`;
+    const rules = Object.entries(frames)
+      .map(([frame, styles]) => _fabricate.buildCssRules(frame, styles).join(''))
+      .join('');
+    _fabricate.addStyleRules(name, `@keyframes ${name}{${rules}}`);
+    return name;
+  },
+  /**
+   * Check a transition option, which is a preset name or object of enter and leave animations.
+   *
+   * @param {string|object} transition - Transition option.
+   * @returns {void}
+   */
+  validateTransition: (transition) => {
+    const { TRANSITIONS } = _fabricate;
+    const message = `transition must be one of ${Object.keys(TRANSITIONS).join(', ')}, or object with enter and/or leave`;
+
+    if (typeof transition === 'string') {
+      if (!TRANSITIONS[transition]) throw new Error(message);
+      return;
+    }
+    if (!transition || typeof transition !== 'object') throw new Error(message);
+
+    const { enter, leave, durationMs } = transition;
+    if (!enter && !leave) throw new Error(message);
+    if ([enter, leave].some((p) => p && !['string', 'object'].includes(typeof p))) {
+      throw new Error(message);
+    }
+    if (typeof durationMs !== 'undefined' && (typeof durationMs !== 'number' || durationMs < 0)) {
+      throw new Error('transition durationMs must be a number of milliseconds');
+    }
+  },
+  /**
+   * Get the CSS animations to enter and leave with for a transition option.
+   * Presets are played in reverse to leave.
+   *
+   * @param {string|object} transition - Transition option.
+   * @returns {object} Enter and leave animations, and their duration.
+   */
+  getTransition: (transition) => {
+    const { TRANSITIONS, DEFAULT_TRANSITION_MS } = _fabricate;
+    const {
+      enter,
+      leave,
+      durationMs = DEFAULT_TRANSITION_MS,
+      easing = 'ease',
+    } = typeof transition === 'string' ? { enter: transition, leave: transition } : transition;
+
+    /**
+     * Get the animation for a preset name, keyframes name, or keyframes object.
+     *
+     * @param {string|object} [animation] - Animation to play.
+     * @param {boolean} isLeave - true if leaving.
+     * @returns {string|undefined} CSS animation, if any.
+     */
+    const getAnimation = (animation, isLeave) => {
+      if (!animation) return undefined;
+
+      const preset = TRANSITIONS[animation];
+      const frames = typeof animation === 'object' ? animation : preset;
+      const name = frames ? _fabricate.addKeyframes(frames) : animation;
+      return `${name} ${durationMs}ms ${easing} ${preset && isLeave ? 'reverse' : 'normal'} both`;
+    };
+
+    return { enter: getAnimation(enter, false), leave: getAnimation(leave, true), durationMs };
+  },
+  /**
+   * Play an animation on an element, then run a callback when it ends. Any transition
+   * still playing on the element is finished first.
+   *
+   * @param {HTMLElement} el - Element to animate.
+   * @param {string} [animation] - CSS animation, if any.
+   * @param {number} durationMs - Animation duration.
+   * @param {Function} done - Callback when the animation ends.
+   * @returns {void}
+   */
+  playTransition: (el, animation, durationMs, done) => {
+    if (el.finishTransition) el.finishTransition();
+    if (!animation || el.isServerElement) {
+      done();
+      return;
+    }
+
+    const previous = el.style.animation;
+    let timer;
+
+    /**
+     * When the animation ends, but not those of children.
+     *
+     * @param {Event} [e] - Animation event, if any.
+     * @returns {void}
+     */
+    const finish = (e) => {
+      if (e && e.target !== el) return;
+
+      clearTimeout(timer);
+      el.removeEventListener('animationend', finish);
+      // eslint-disable-next-line no-param-reassign
+      el.finishTransition = undefined;
+      // eslint-disable-next-line no-param-reassign
+      el.style.animation = previous;
+      done();
+    };
+
+    // eslint-disable-next-line no-param-reassign
+    el.finishTransition = finish;
+    // eslint-disable-next-line no-param-reassign
+    el.style.animation = animation;
+    el.addEventListener('animationend', finish);
+
+    // In case the animation never runs, such as when hidden
+    timer = setTimeout(finish, durationMs + _fabricate.TRANSITION_END_MARGIN_MS);
+  },
+  /**
+   * When hydrating, remember how a component can take over an existing element.
+   * Custom components are tracked once for each fabricate() call building them.
+   *
+   * @param {FabricateComponent} el - Element being built.
+   * @param {Function} adopt - Callback to make the component's methods act on another element.
+   */
+  trackHydrationElement: (el, adopt) => {
+    const { hydrationElements } = _fabricate;
+    if (!hydrationElements.has(el)) hydrationElements.set(el, { adopters: [], listeners: [] });
+
+    hydrationElements.get(el).adopters.push(adopt);
+  },
+  /**
+   * When hydrating, remember event listeners so they can be added to the existing element.
+   *
+   * @param {FabricateComponent} el - Element being built.
+   * @param {string} type - Event type.
+   * @param {Function} listener - Event listener.
+   */
+  trackHydrationListener: (el, type, listener) => {
+    const entry = _fabricate.hydrationElements.get(el);
+    if (!_fabricate.isHydrating || !entry) return;
+
+    entry.listeners.push([type, listener]);
+  },
+  /**
+   * Make an existing element take the place of a newly built one, with all of its
+   * methods, event listeners, and data.
+   *
+   * @param {FabricateComponent} el - Element that was built.
+   * @param {HTMLElement} existing - Existing element to use instead.
+   */
+  adoptElement: (el, existing) => {
+    const entry = _fabricate.hydrationElements.get(el);
+    if (!entry) return;
+
+    Object.keys(el).forEach((k) => {
+      // eslint-disable-next-line no-param-reassign
+      existing[k] = el[k];
+    });
+    entry.adopters.forEach((adopt) => adopt(existing));
+    entry.listeners.forEach(([type, listener]) => existing.addEventListener(type, listener));
+    entry.existing = existing;
+  },
+  /**
+   * Walk a newly built element and existing element together, adopting existing elements
+   * where they match and replacing them where they don't.
+   *
+   * @param {FabricateComponent} el - Element that was built.
+   * @param {HTMLElement} existing - Existing element in the same place.
+   * @returns {HTMLElement} Element now in the page.
+   */
+  hydrateElement: (el, existing) => {
+    if (existing.tagName !== el.tagName) {
+      _fabricate.reportHydrationMismatch(el, `expected <${el.tagName.toLowerCase()}>, found <${existing.tagName.toLowerCase()}>`);
+      existing.replaceWith(el);
+      return el;
+    }
+
+    // Drawing on a canvas can't be adopted, so keep the one built
+    if (el.tagName === 'CANVAS') {
+      existing.replaceWith(el);
+      return el;
+    }
+
+    _fabricate.reconcileHydratedContent(el, existing);
+    const children = Array.from(el.children);
+    const existingChildren = Array.from(existing.children);
+    children.forEach((child, i) => {
+      if (existingChildren[i]) {
+        _fabricate.hydrateElement(child, existingChildren[i]);
+        return;
+      }
+
+      _fabricate.reportHydrationMismatch(child, 'missing from page');
+      existing.appendChild(child);
+    });
+    existingChildren.slice(children.length).forEach((child) => {
+      _fabricate.reportHydrationMismatch(el, `unexpected child <${child.tagName.toLowerCase()}>`);
+      child.remove();
+    });
+
+    _fabricate.adoptElement(el, existing);
+    return existing;
+  },
+  /**
+   * Make the attributes and text of an existing element match those built, reporting any
+   * difference. Elements with state watchers are skipped, as those may change once the
+   * app starts.
+   *
+   * @param {FabricateComponent} el - Element that was built.
+   * @param {HTMLElement} existing - Existing element in the same place.
+   */
+  reconcileHydratedContent: (el, existing) => {
+    if (el.stateWatchers.length) return;
+
+    Array.from(el.attributes)
+      .filter((attr) => attr.name !== 'style')
+      .forEach(({ name: attrName, value }) => {
+        const found = existing.getAttribute(attrName);
+        if (found === value) return;
+
+        _fabricate.reportHydrationMismatch(el, `expected ${attrName}="${value}", found "${found}"`);
+        existing.setAttribute(attrName, value);
+      });
+
+    // Only text of elements without children is compared
+    const { textContent } = el;
+    if (el.firstElementChild || !textContent || existing.textContent === textContent) return;
+
+    _fabricate.reportHydrationMismatch(el, `expected text "${textContent}", found "${existing.textContent}"`);
+    // eslint-disable-next-line no-param-reassign
+    existing.textContent = textContent;
+  },
+  /**
+   * Report a difference between what was built and what was in the page, in debug mode.
+   *
+   * @param {FabricateComponent} el - Element that was built.
+   * @param {string} reason - Description of the difference.
+   */
+  reportHydrationMismatch: (el, reason) => {
+    if (!_fabricate.options.debug) return;
+
+    console.warn(`debug: hydration mismatch in ${el.componentName || el.tagName.toLowerCase()}: ${reason}`);
+  },
+  /**
+   * After hydrating, point any references to built elements at the existing elements used.
+   */
+  remapHydratedElements: () => {
+    const { hydrationElements, watcherRegistry } = _fabricate;
+
+    /**
+     * Get the element now used in place of one that was built.
+     *
+     * @param {FabricateComponent} el - Element that was built.
+     * @returns {HTMLElement} Element in the page.
+     */
+    const getExisting = (el) => {
+      const entry = hydrationElements.get(el);
+      return entry && entry.existing ? entry.existing : el;
+    };
+
+    watcherRegistry.all.forEach((watcher) => {
+      const existing = getExisting(watcher.el);
+      if (existing === watcher.el) return;
+
+      _fabricate.unindexWatcherElement(watcher);
+      // eslint-disable-next-line no-param-reassign
+      watcher.el = existing;
+      _fabricate.indexWatcherElement(watcher);
+    });
+    hydrationElements.forEach(({ existing }) => {
+      if (!existing) return;
+
+      existing.stateWatchers.forEach((watcher) => {
+        // eslint-disable-next-line no-param-reassign
+        watcher.el = getExisting(watcher.el);
+      });
+      if (existing.keyedRows) {
+        existing.keyedRows.forEach((row) => {
+          // eslint-disable-next-line no-param-reassign
+          row.child = getExisting(row.child);
+        });
+      }
+    });
+  },
+  /**
+   * Get the value of a bound input, select, or textarea.
+   *
+   * @param {HTMLElement} el - Bound element.
+   * @returns {*} Element value.
+   */
+  getBoundValue: (el) => {
+    if (el.type === 'checkbox') return !!el.checked;
+    if (el.type === 'number') return el.value === '' ? null : Number(el.value);
+
+    return el.value;
+  },
+  /**
+   * Set the value of a bound input, select, or textarea, if it changed.
+   *
+   * @param {FabricateComponent} el - Bound element.
+   * @param {*} value - Value from state.
+   * @returns {void}
+   */
+  setBoundValue: (el, value) => {
+    if (el.type === 'checkbox') {
+      if (el.checked !== !!value) el.setAttributes({ checked: !!value });
+      return;
+    }
+
+    // Leave the cursor where it is if unchanged
+    const next = value === null || typeof value === 'undefined' ? '' : `${value}`;
+    if (el.value !== next) el.setAttributes({ value: next });
+  },
+  /**
+   * Check a value is empty, for the required validator.
+   *
+   * @param {*} value - Value to check.
+   * @returns {boolean} true if the value is empty.
+   */
+  isEmptyValue: (value) => value === null
+    || typeof value === 'undefined'
+    || value === false
+    || (typeof value === 'string' && !value.trim())
+    || (Array.isArray(value) && !value.length),
+  /**
+   * Run a field's validators in turn until one gives an error. Async validators make the
+   * result a Promise.
+   *
+   * @param {Array<Function>} validators - Field validators.
+   * @param {*} value - Field value.
+   * @param {object} values - All form values.
+   * @param {number} [index] - Index of the first validator to run.
+   * @returns {string|null|Promise<string|null>} Error message, or null if valid.
+   */
+  runValidators: (validators, value, values, index = 0) => {
+    for (let i = index; i < validators.length; i += 1) {
+      const result = validators[i](value, values);
+      if (result && typeof result.then === 'function') {
+        return result.then(
+          (error) => error || _fabricate.runValidators(validators, value, values, i + 1),
+        );
+      }
+      if (result) return result;
+    }
+
+    return null;
+  },
+  /**
+   * Create the state of a form with no changes.
+   *
+   * @param {object} fields - Initial field values.
+   * @returns {object} Form state.
+   */
+  createFormState: (fields) => {
+    const names = Object.keys(fields);
+    /**
+     * Map each field to a value.
+     *
+     * @param {*} value - Value for every field.
+     * @returns {object} Value of each field.
+     */
+    const forFields = (value) => Object.fromEntries(names.map((p) => [p, value]));
+
+    return {
+      values: { ...fields },
+      touched: forFields(false),
+      dirty: forFields(false),
+      errors: forFields(null),
+      isValid: true,
+      isValidating: false,
+      isSubmitting: false,
+      submitCount: 0,
+    };
   },
   /**
    * Silently accept a state key, meaning it will not trigger any updates and be expected.
@@ -212,7 +2511,38 @@ const _fabricate = {
     }
   },
 };
-_fabricate.options = _fabricate.DEFAULT_OPTIONS;
+
+// Fields of the app currently running, so each app is independent
+Object.keys(_fabricate.createAppContext()).forEach((key) => {
+  Object.defineProperty(_fabricate, key, {
+    /**
+     * Get the field from the current app.
+     *
+     * @returns {*} Field value.
+     */
+    get: () => _fabricate.currentApp[key],
+    /**
+     * Set the field in the current app.
+     *
+     * @param {*} value - New value.
+     */
+    set: (value) => {
+      _fabricate.currentApp[key] = value;
+    },
+  });
+});
+// All state watchers of the current app, in the order they were added
+Object.defineProperty(_fabricate, 'stateWatchers', {
+  /**
+   * Get the watchers from the current app's registry.
+   *
+   * @returns {Array<object>} State watchers.
+   */
+  get: () => [..._fabricate.watcherRegistry.all],
+});
+_fabricate.defaultApp = _fabricate.createAppContext();
+_fabricate.currentApp = _fabricate.defaultApp;
+_fabricate.plugins = _fabricate.getBuiltInPlugins();
 
 /**
  * @typedef FabricateComponent
@@ -234,13 +2564,44 @@ const fabricate = (name, customProps) => {
   const { customComponents } = _fabricate;
 
   // Could be custom component or a HTML type
-  const el = customComponents[name]
+  let el = customComponents[name]
     ? customComponents[name](customProps)
-    : document.createElement(name);
+    : _fabricate.createElement(name);
+
+  // Event listeners act on the app the element was built in
+  const app = _fabricate.currentApp;
+
+  // Allow taking over an existing element when hydrating
+  if (_fabricate.isHydrating) {
+    _fabricate.trackHydrationElement(el, (existing) => {
+      el = existing;
+    });
+  }
+
+  /**
+   * Add an event listener, remembering it if hydrating.
+   *
+   * @param {string} type - Event type.
+   * @param {Function} listener - Event listener.
+   */
+  const addListener = (type, listener) => {
+    /**
+     * Listener run in the element's app.
+     *
+     * @param {Event} e - Event.
+     * @returns {void}
+     */
+    const appListener = (e) => _fabricate.runInApp(app, () => listener(e));
+
+    el.addEventListener(type, appListener);
+    _fabricate.trackHydrationListener(el, type, appListener);
+  };
 
   // Set some additional data
   el.componentName = name;
   el.onDestroyHandlers = [];
+  el.onMountHandlers = [];
+  el.onUnmountHandlers = [];
   el.stateWatchers = [];
 
   /**
@@ -252,7 +2613,7 @@ const fabricate = (name, customProps) => {
   el.setStyles = (param1) => {
     // Callback with the app theme values
     if (typeof param1 === 'function') {
-      const newStyles = param1({ ..._fabricate.options.theme });
+      const newStyles = param1({ ..._fabricate.getTheme() });
       Object.assign(el.style, newStyles);
       return el;
     }
@@ -276,6 +2637,61 @@ const fabricate = (name, customProps) => {
     return el;
   };
 
+  /**
+   * Add classes, generating them from any styles objects given with fabricate.css().
+   *
+   * @param {...(string|object)} classes - Class names or styles objects.
+   * @returns {FabricateComponent} Fabricate component.
+   */
+  el.addClass = (...classes) => {
+    const names = classes.map((p) => (typeof p === 'object' ? fabricate.css(p) : p));
+    if (!names.length) return el;
+
+    const existing = (el.className || '').split(' ').filter((p) => p);
+    const className = [...new Set([...existing, ...names])].join(' ');
+
+    el.setAttributes({ className });
+    return el;
+  };
+
+  /**
+   * Set styles for each breakpoint, applied again whenever the breakpoint changes.
+   * Styles set before are restored for breakpoints without them.
+   *
+   * @param {object} stylesByBreakpoint - Styles objects for each breakpoint name.
+   * @returns {FabricateComponent} Fabricate component.
+   */
+  el.setResponsiveStyles = (stylesByBreakpoint) => {
+    if (!stylesByBreakpoint || typeof stylesByBreakpoint !== 'object') {
+      throw new Error('setResponsiveStyles requires an object of styles for each breakpoint');
+    }
+
+    const names = _fabricate.getBreakpoints().map(([p]) => p);
+    const unknown = Object.keys(stylesByBreakpoint).find((p) => !names.includes(p));
+    if (unknown) throw new Error(`Unknown breakpoint ${unknown} - is it in the breakpoints option?`);
+
+    const properties = Object.values(stylesByBreakpoint).flatMap((p) => Object.keys(p));
+    const baseStyles = Object.fromEntries(properties.map((p) => [p, el.style[p]]));
+    let lastBreakpoint;
+
+    /**
+     * Apply the styles of a breakpoint, if it changed.
+     *
+     * @param {string} breakpoint - Breakpoint name.
+     * @returns {void}
+     */
+    const applyBreakpoint = (breakpoint) => {
+      if (breakpoint === lastBreakpoint) return;
+
+      lastBreakpoint = breakpoint;
+      el.setStyles({ ...baseStyles, ...stylesByBreakpoint[breakpoint] });
+    };
+
+    const { Viewport } = _fabricate.StateKeys;
+    applyBreakpoint(_fabricate.getCurrentBreakpoint());
+    return el.onUpdate((self, state) => applyBreakpoint(state[Viewport].breakpoint), [Viewport]);
+  };
+
   /**
    * Augment existing attributes with new ones.
    *
@@ -284,6 +2700,9 @@ const fabricate = (name, customProps) => {
    */
   el.setAttributes = (newAttributes) => {
     Object.assign(el, newAttributes);
+
+    // Server elements have no DOM properties, so keep them for rendering
+    if (el.isServerElement) Object.assign(el.attributes, newAttributes);
     return el;
   };
 
@@ -357,10 +2776,10 @@ const fabricate = (name, customProps) => {
     const addNextGroup = () => {
       if (!children.length) return;
 
-      setTimeout(() => {
+      setTimeout(() => _fabricate.runInApp(app, () => {
         addChildrenToElement(children.splice(0, 50));
         addNextGroup();
-      }, 10);
+      }), 10);
     };
 
     console.warn(`Adding children in groups for performance (size=${children.length}) label:${label}`);
@@ -381,6 +2800,72 @@ const fabricate = (name, customProps) => {
     return el;
   };
 
+  /**
+   * Set child elements from a list of items, reusing existing children by key.
+   * Only rows that are new or whose item changed are built, and only rows that
+   * left are destroyed.
+   *
+   * @param {Array<*>} items - List of items to render.
+   * @param {Function} keyFn - Function returning a unique key for each item.
+   * @param {Function} builderCb - Function to build the child for an item.
+   * @returns {FabricateComponent} Fabricate component.
+   */
+  el.setKeyedChildren = (items, keyFn, builderCb) => {
+    if (!Array.isArray(items)) throw new Error('setKeyedChildren items must be an array');
+    if (typeof keyFn !== 'function' || typeof builderCb !== 'function') {
+      throw new Error('setKeyedChildren requires keyFn and builderCb functions');
+    }
+
+    // Check keys before changing any rows
+    const keys = items.map((item, index) => keyFn(item, index));
+    const seenKeys = new Set();
+    keys.forEach((key) => {
+      if (seenKeys.has(key)) throw new Error(`Duplicate key ${key} in setKeyedChildren`);
+      seenKeys.add(key);
+    });
+
+    // First use takes ownership of all children
+    if (!el.keyedRows) el.empty();
+    const oldRows = el.keyedRows || new Map();
+    const newRows = new Map();
+
+    items.forEach((item, index) => {
+      const key = keys[index];
+
+      // Reuse if the same item is still present
+      const existing = oldRows.get(key);
+      if (existing && existing.item === item) {
+        newRows.set(key, existing);
+        oldRows.delete(key);
+        return;
+      }
+
+      const child = builderCb(item, index);
+      _fabricate.applyStateWatchers(child);
+      newRows.set(key, { item, child });
+    });
+
+    // Remove rows that left or are being rebuilt
+    oldRows.forEach(({ child }) => {
+      _fabricate.notifyRemovedRecursive(child);
+      child.remove();
+    });
+
+    // Insert or move remaining rows into the new order
+    let cursor = el.firstElementChild;
+    newRows.forEach(({ child }) => {
+      if (child === cursor) {
+        cursor = cursor.nextElementSibling;
+        return;
+      }
+
+      el.insertBefore(child, cursor);
+    });
+
+    el.keyedRows = newRows;
+    return el;
+  };
+
   /**
    * Set the inner HTML.
    *
@@ -409,6 +2894,9 @@ const fabricate = (name, customProps) => {
    * @returns {FabricateComponent} Fabricate component.
    */
   el.empty = () => {
+    // Any keyed rows are about to be removed
+    el.keyedRows = undefined;
+
     // No children to remove
     if (!el.firstElementChild) return el;
 
@@ -460,7 +2948,7 @@ const fabricate = (name, customProps) => {
    * @returns {FabricateComponent} Fabricate component.
    */
   el.onClick = (cb) => {
-    el.addEventListener('click', () => cb(el, _fabricate.getStateCopy()));
+    addListener('click', () => cb(el, _fabricate.getStateCopy()));
     return el;
   };
 
@@ -471,10 +2959,46 @@ const fabricate = (name, customProps) => {
    * @returns {FabricateComponent} Fabricate component.
    */
   el.onChange = (cb) => {
-    el.addEventListener('input', ({ target }) => cb(el, _fabricate.getStateCopy(), target.value));
+    addListener('input', ({ target }) => cb(el, _fabricate.getStateCopy(), target.value));
     return el;
   };
 
+  /**
+   * Keep the value of an input, select, or textarea and a state key in sync both ways.
+   * Checkboxes are bound to booleans, and number inputs to numbers.
+   *
+   * @param {string} stateKey - State key or key path to bind to.
+   * @returns {FabricateComponent} Fabricate component.
+   */
+  el.bind = (stateKey) => {
+    if (!stateKey || typeof stateKey !== 'string') throw new Error('bind requires a stateKey string');
+    if (!['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName)) {
+      throw new Error('bind() requires an input, select, or textarea element');
+    }
+
+    el.boundKey = stateKey;
+
+    /**
+     * When the user changes the value.
+     *
+     * @returns {void}
+     */
+    const onInput = () => {
+      const value = _fabricate.getBoundValue(el);
+      if (value === _fabricate.getPathValue(_fabricate.state, stateKey)) return;
+
+      fabricate.update(stateKey, value);
+    };
+
+    // Checkboxes and selects may only send change events
+    addListener('input', onInput);
+    addListener('change', onInput);
+    return el.onUpdate(
+      (self, state) => _fabricate.setBoundValue(el, _fabricate.getPathValue(state, stateKey)),
+      [_fabricate.StateKeys.Created, stateKey],
+    );
+  };
+
   /**
    * Convenience method for start and end of hover.
    *
@@ -484,15 +3008,15 @@ const fabricate = (name, customProps) => {
   el.onHover = (opts) => {
     // Callback style
     if (typeof opts === 'function') {
-      el.addEventListener('mouseenter', () => opts(el, _fabricate.getStateCopy(), true));
-      el.addEventListener('mouseleave', () => opts(el, _fabricate.getStateCopy(), false));
+      addListener('mouseenter', () => opts(el, _fabricate.getStateCopy(), true));
+      addListener('mouseleave', () => opts(el, _fabricate.getStateCopy(), false));
       return el;
     }
 
     // Object of handlers style
     const { start, end } = opts;
-    el.addEventListener('mouseenter', () => start(el, _fabricate.getStateCopy()));
-    el.addEventListener('mouseleave', () => end(el, _fabricate.getStateCopy()));
+    addListener('mouseenter', () => start(el, _fabricate.getStateCopy()));
+    addListener('mouseleave', () => end(el, _fabricate.getStateCopy()));
     return el;
   };
 
@@ -519,6 +3043,39 @@ const fabricate = (name, customProps) => {
     return el;
   };
 
+  /**
+   * Watch a value selected from the state, only notified when it changes. Arrays and
+   * objects are compared by their items or properties.
+   *
+   * @param {Function} selector - Function selecting a value from the state.
+   * @param {Function} cb - Callback to be notified with the selected value.
+   * @returns {FabricateComponent} Fabricate component.
+   */
+  el.onSelect = (selector, cb) => {
+    let selected = selector(_fabricate.getStateCopy());
+
+    /**
+     * When the state is updated.
+     *
+     * @param {FabricateComponent} watcherEl - Element watching.
+     * @param {object} state - Current state.
+     * @returns {void}
+     */
+    const onStateUpdate = (watcherEl, state) => {
+      const newSelected = selector(state);
+      if (_fabricate.isShallowEqual(newSelected, selected)) return;
+
+      selected = newSelected;
+      cb(el, selected, state);
+    };
+
+    el.stateWatchers.push({ el, cb: onStateUpdate, watchKeys: [] });
+    el.onDestroy(_fabricate.unregisterStateWatcher);
+
+    cb(el, selected, _fabricate.getStateCopy());
+    return el;
+  };
+
   /**
    * Optional on create handler, alternative to _fabricate.StateKeys.Created event.
    *
@@ -543,7 +3100,33 @@ const fabricate = (name, customProps) => {
      *
      * @returns {void}
      */
-    el.onDestroyHandlers.push(() => cb(el, _fabricate.getStateCopy()));
+    el.onDestroyHandlers.push(
+      () => _fabricate.runInApp(app, () => cb(el, _fabricate.getStateCopy())),
+    );
+    return el;
+  };
+
+  /**
+   * Run some statements when the component is added to the app's page, with the
+   * observeLifecycle option.
+   *
+   * @param {Function} cb - Function to run when added, with this element and current state.
+   * @returns {FabricateComponent} Fabricate component.
+   */
+  el.onMount = (cb) => {
+    el.onMountHandlers.push(() => cb(el, _fabricate.getStateCopy()));
+    return el;
+  };
+
+  /**
+   * Run some statements when the component is removed from the app's page by any means,
+   * with the observeLifecycle option.
+   *
+   * @param {Function} cb - Function to run when removed, with this element and current state.
+   * @returns {FabricateComponent} Fabricate component.
+   */
+  el.onUnmount = (cb) => {
+    el.onUnmountHandlers.push(() => cb(el, _fabricate.getStateCopy()));
     return el;
   };
 
@@ -555,7 +3138,7 @@ const fabricate = (name, customProps) => {
    * @returns {FabricateComponent} Fabricate component.
    */
   el.onEvent = (type, cb) => {
-    el.addEventListener(type, (e) => cb(el, _fabricate.getStateCopy(), e));
+    addListener(type, (e) => cb(el, _fabricate.getStateCopy(), e));
     return el;
   };
 
@@ -563,19 +3146,42 @@ const fabricate = (name, customProps) => {
    * Conditionally display a child in response to state update.
    *
    * @param {Function} testCb - Callback to test the state.
-   * @param {Function} [changeCb] - Callback when the display state changes.
+   * @param {Function|object} [changeCb] - Callback when the display state changes, or options.
+   * @param {object} [options] - Options.
+   * @param {string|object} [options.transition] - Animate showing and hiding.
    * @returns {FabricateComponent} Fabricate component.
    */
-  el.displayWhen = (testCb, changeCb) => {
+  el.displayWhen = (testCb, changeCb, options = {}) => {
+    // Options may be given without changeCb
+    const { transition } = changeCb && typeof changeCb === 'object' ? changeCb : options;
+    const onChange = typeof changeCb === 'function' ? changeCb : undefined;
+    if (transition) _fabricate.validateTransition(transition);
+
     const originalDisplay = el.style.display;
+    const animations = transition ? _fabricate.getTransition(transition) : undefined;
     let lastResult;
 
     /**
      * When state updates
      */
     const onStateUpdate = () => {
-      lastResult = _fabricate.handleConditionalDisplay(el, lastResult, testCb, changeCb);
-      el.setStyles({ display: lastResult ? originalDisplay : 'none' });
+      const previous = lastResult;
+      lastResult = _fabricate.handleConditionalDisplay(el, lastResult, testCb, onChange);
+      if (!animations || typeof previous === 'undefined' || previous === lastResult) {
+        el.setStyles({ display: lastResult ? originalDisplay : 'none' });
+        return;
+      }
+
+      if (lastResult) {
+        el.setStyles({ display: originalDisplay });
+        _fabricate.playTransition(el, animations.enter, animations.durationMs, () => {});
+        return;
+      }
+
+      // Hide once the leave animation ends, unless shown again first
+      _fabricate.playTransition(el, animations.leave, animations.durationMs, () => {
+        if (!lastResult) el.setStyles({ display: 'none' });
+      });
     };
 
     // Only known exception - displayWhen does not know what testCb watches for
@@ -588,56 +3194,362 @@ const fabricate = (name, customProps) => {
 
     return el;
   };
-
-  return el;
+
+  return el;
+};
+
+/// ////////////////////////////////////// State management ////////////////////////////////////////
+
+/**
+ * Update the state.
+ *
+ * @param {string|object} param1 - Either key, key path such as 'settings.theme.dark', or object
+ *                                 state slice.
+ * @param {Function|object|undefined} param2 - Keyed value or update function getting old state.
+ */
+fabricate.update = (param1, param2) => {
+  const { state, options } = _fabricate;
+  const { debug } = options;
+
+  if (!param1) throw new Error('No update data provided');
+
+  const keys = typeof param1 === 'object' ? Object.keys(param1) : [param1];
+
+  const { currentUpdateKeys } = _fabricate;
+  if (currentUpdateKeys.length && debug) {
+    console.warn(`debug: Update while updating ${currentUpdateKeys.join(',')}: ${JSON.stringify(param1)}`);
+  }
+
+  _fabricate.validateUpdateKeys(keys);
+
+  // State slice, or keyed update with value or function of old state
+  const update = typeof param1 === 'object'
+    ? param1
+    : { [param1]: typeof param2 === 'function' ? param2(state) : param2 };
+
+  // Plugins may transform or veto the update
+  let next = update;
+  const isVetoed = _fabricate.plugins
+    .filter((p) => p.beforeUpdate)
+    .some(({ beforeUpdate }) => {
+      const result = beforeUpdate(Object.keys(next), next, _fabricate.getStateCopy());
+      if (result && typeof result === 'object') next = result;
+      return result === false;
+    });
+  if (isVetoed) return;
+
+  if (next !== update) _fabricate.validateUpdateKeys(Object.keys(next));
+
+  // Writes of the same values can be ignored
+  if (options.skipUnchangedUpdates) {
+    next = _fabricate.getChangedValues(next);
+    if (!Object.keys(next).length) return;
+  }
+  const nextKeys = Object.keys(next);
+
+  // Key paths replace nested values without changing the objects holding them
+  const values = _fabricate.expandKeyPaths(next);
+  _fabricate.validateStateValues(values);
+
+  const previous = _fabricate.getHistoryValues(Object.keys(values));
+  _fabricate.state = { ...state, ...values };
+  _fabricate.recordHistory(previous);
+  _fabricate.handleUpdatedKeys(nextKeys);
+};
+
+/**
+ * Add a plugin with hooks around state updates and app events.
+ *
+ * @param {object} plugin - Plugin with any of beforeUpdate, afterUpdate, onAppStart, and
+ *                          onNavigate hooks.
+ * @returns {Function} Function to remove the plugin.
+ */
+fabricate.use = (plugin) => {
+  if (!plugin || typeof plugin !== 'object') throw new Error('Plugin must be an object');
+  Object.entries(plugin).forEach(([key, value]) => {
+    if (key === 'name') return;
+    if (!_fabricate.PLUGIN_HOOKS.includes(key)) throw new Error(`Unknown plugin hook ${key}`);
+    if (typeof value !== 'function') throw new Error(`Plugin hook ${key} must be a function`);
+  });
+
+  _fabricate.plugins.push(plugin);
+
+  return () => {
+    const index = _fabricate.plugins.indexOf(plugin);
+    if (index >= 0) _fabricate.plugins.splice(index, 1);
+  };
+};
+
+/**
+ * Run onMount and onUnmount handlers for page changes not yet handled, such as in unit tests
+ * where waiting for the MutationObserver is not convenient.
+ */
+fabricate.flushLifecycle = () => {
+  const { lifecycleObserver } = _fabricate;
+  if (!lifecycleObserver) return;
+
+  _fabricate.handleLifecycleRecords(lifecycleObserver.takeRecords());
+};
+
+/**
+ * Get a CSS value for a theme palette color, which changes when the theme does.
+ *
+ * @param {string} name - Palette color name.
+ * @returns {string} CSS value.
+ */
+fabricate.themeVar = (name) => {
+  const property = _fabricate.getThemeProperty(name);
+  const fallback = _fabricate.DEFAULT_PALETTE[name];
+  return fallback ? `var(${property}, ${fallback})` : `var(${property})`;
+};
+
+/**
+ * Switch to another theme of the themes option, changing theme colors in place.
+ *
+ * @param {string} name - Theme name.
+ */
+fabricate.setTheme = (name) => {
+  const { options, themeRoot, StateKeys: { Theme } } = _fabricate;
+  if (!options.themes || !options.themes[name]) {
+    throw new Error(`Unknown theme ${name} - is it in the themes option?`);
+  }
+
+  options.theme = name;
+  if (themeRoot) _fabricate.applyTheme(themeRoot);
+
+  _fabricate.state = { ..._fabricate.state, [Theme]: name };
+  _fabricate.handleUpdatedKeys([Theme]);
+};
+
+/**
+ * Generate a class for some styles in the managed stylesheet, including pseudo-selectors,
+ * nested selectors, and at-rules like media queries. Identical styles share one class.
+ *
+ * @param {object} styles - Styles object.
+ * @returns {string} Generated class name.
+ */
+fabricate.css = (styles) => {
+  if (!styles || typeof styles !== 'object' || Array.isArray(styles)) {
+    throw new Error('css requires a styles object');
+  }
+
+  const name = `fab-${_fabricate.hashString(JSON.stringify(styles))}`;
+  _fabricate.addStyleRules(name, _fabricate.buildCssRules(`.${name}`, styles).join(''));
+  return name;
+};
+
+/**
+ * Generate keyframes in the managed stylesheet, for use in an animation.
+ *
+ * @param {object} frames - Styles for each frame, such as '0%' and '100%'.
+ * @returns {string} Generated animation name.
+ */
+fabricate.keyframes = (frames) => {
+  if (!frames || typeof frames !== 'object' || Array.isArray(frames)) {
+    throw new Error('keyframes requires an object of frames');
+  }
+
+  return _fabricate.addKeyframes(frames);
+};
+
+/**
+ * Get all generated CSS, such as to include in a page rendered with renderToString().
+ *
+ * @returns {string} CSS rules.
+ */
+fabricate.getStyleSheet = () => [..._fabricate.styleRules.values()].join('\n');
+
+/**
+ * Make many state updates, notifying watchers only once with all keys updated.
+ *
+ * @param {Function} cb - Callback making state updates.
+ */
+fabricate.batch = (cb) => {
+  if (typeof cb !== 'function') throw new Error('batch requires a callback function');
+
+  _fabricate.batchDepth += 1;
+  try {
+    cb();
+  } finally {
+    _fabricate.batchDepth -= 1;
+
+    // Outermost batch notifies, even of updates made before the callback threw
+    if (!_fabricate.batchDepth) _fabricate.flushPendingUpdates();
+  }
+};
+
+/**
+ * Make many state updates that are undone and redone together as one step.
+ *
+ * @param {Function} cb - Callback making state updates.
+ */
+fabricate.transaction = (cb) => {
+  if (typeof cb !== 'function') throw new Error('transaction requires a callback function');
+
+  if (!_fabricate.transactionDepth) _fabricate.transactionStep = { before: {}, after: {} };
+  _fabricate.transactionDepth += 1;
+  try {
+    cb();
+  } finally {
+    _fabricate.transactionDepth -= 1;
+
+    // Outermost transaction adds the step, even if the callback threw after updating
+    if (!_fabricate.transactionDepth) {
+      const step = _fabricate.transactionStep;
+      _fabricate.transactionStep = undefined;
+      if (Object.keys(step.after).length) _fabricate.addUndoStep(step);
+    }
+  }
+};
+
+/**
+ * Undo the last state update of keys recorded in history.
+ */
+fabricate.undo = () => {
+  if (!_fabricate.options.history) {
+    throw new Error('No undo history - are you using the history option?');
+  }
+  if (!_fabricate.undoSteps.length) {
+    console.warn('Nothing to undo, doing nothing');
+    return;
+  }
+
+  const step = _fabricate.undoSteps.pop();
+  _fabricate.redoSteps.push(step);
+  _fabricate.applyHistoryValues(step.before);
+};
+
+/**
+ * Redo the last state update that was undone.
+ */
+fabricate.redo = () => {
+  if (!_fabricate.options.history) {
+    throw new Error('No undo history - are you using the history option?');
+  }
+  if (!_fabricate.redoSteps.length) {
+    console.warn('Nothing to redo, doing nothing');
+    return;
+  }
+
+  const step = _fabricate.redoSteps.pop();
+  _fabricate.undoSteps.push(step);
+  _fabricate.applyHistoryValues(step.after);
+};
+
+/**
+ * Check if there is a state update that can be undone.
+ *
+ * @returns {boolean} true if undo() will undo an update.
+ */
+fabricate.canUndo = () => _fabricate.undoSteps.length > 0;
+
+/**
+ * Check if there is an undone state update that can be redone.
+ *
+ * @returns {boolean} true if redo() will redo an update.
+ */
+fabricate.canRedo = () => _fabricate.redoSteps.length > 0;
+
+/**
+ * Start recording every state update, so they can be replayed later.
+ */
+fabricate.startRecording = () => {
+  _fabricate.recording = {
+    initialState: _fabricate.getStateCopy(),
+    updates: [],
+  };
 };
 
-/// ////////////////////////////////////// State management ////////////////////////////////////////
+/**
+ * Stop recording state updates.
+ *
+ * @returns {string} Recording as JSON, including the state when recording started.
+ */
+fabricate.stopRecording = () => {
+  const { recording } = _fabricate;
+  if (!recording) throw new Error('No recording - are you using startRecording()?');
+
+  _fabricate.recording = undefined;
+  return JSON.stringify(recording);
+};
 
 /**
- * Update the state.
+ * Load a recording, showing the state when it was started. Use stepForward() and stepBack()
+ * to replay its updates.
  *
- * @param {string|object} param1 - Either key or object state slice.
- * @param {Function|object|undefined} param2 - Keyed value or update function getting old state.
+ * @param {string|object} recording - Recording from stopRecording().
  */
-fabricate.update = (param1, param2) => {
-  const { state, options } = _fabricate;
-  const { debug } = options;
+fabricate.loadRecording = (recording) => {
+  const loaded = typeof recording === 'string' ? JSON.parse(recording) : recording;
+  if (!loaded || typeof loaded.initialState !== 'object' || !Array.isArray(loaded.updates)) {
+    throw new Error('Invalid recording - use one from stopRecording()');
+  }
 
-  if (!param1) throw new Error('No update data provided');
+  _fabricate.replay = { ...loaded, position: 0 };
+  _fabricate.showReplayPosition(0, Object.keys(loaded.initialState));
+};
 
-  const keys = typeof param1 === 'object' ? Object.keys(param1) : [param1];
+/**
+ * Replay the next update in the loaded recording.
+ *
+ * @returns {number} Number of updates now applied.
+ */
+fabricate.stepForward = () => {
+  const { replay } = _fabricate;
+  if (!replay) throw new Error('No recording loaded - are you using loadRecording()?');
+  if (replay.position >= replay.updates.length) {
+    console.warn('No more updates to replay, doing nothing');
+    return replay.position;
+  }
 
-  const { currentUpdateKeys } = _fabricate;
-  if (currentUpdateKeys.length && debug) {
-    console.warn(`debug: Update while updating ${currentUpdateKeys.join(',')}: ${JSON.stringify(param1)}`);
+  const { keys } = replay.updates[replay.position];
+  _fabricate.showReplayPosition(replay.position + 1, keys);
+  return replay.position;
+};
+
+/**
+ * Go back to before the last update replayed from the loaded recording.
+ *
+ * @returns {number} Number of updates now applied.
+ */
+fabricate.stepBack = () => {
+  const { replay } = _fabricate;
+  if (!replay) throw new Error('No recording loaded - are you using loadRecording()?');
+  if (!replay.position) {
+    console.warn('No updates to step back from, doing nothing');
+    return replay.position;
   }
 
-  // Only allow known state key updates
-  keys
+  const { keys } = replay.updates[replay.position - 1];
+  _fabricate.showReplayPosition(replay.position - 1, keys);
+  return replay.position;
+};
+
+/**
+ * Declare a read-only state key whose value is computed from other state keys,
+ * and recomputed only when one of those keys is updated.
+ *
+ * @param {string} key - New state key.
+ * @param {Array<string>} deps - State keys the value depends on.
+ * @param {Function} fn - Function computing the value from the state.
+ */
+fabricate.computed = (key, deps, fn) => {
+  const { state } = _fabricate;
+
+  if (!key || typeof key !== 'string') throw new Error('computed requires a key string');
+  if (typeof state[key] !== 'undefined') throw new Error(`State key ${key} already exists`);
+  if (!Array.isArray(deps) || !deps.length) throw new Error('computed requires a list of deps');
+  deps
     .filter((p) => !p.startsWith('fabricate:'))
-    .forEach((key) => {
-      if (typeof state[key] === 'undefined') {
-        throw new Error(`Unknown state key ${key} - do you need to use buildKey()?`);
+    .forEach((dep) => {
+      if (typeof state[dep] === 'undefined') {
+        throw new Error(`Unknown state key ${dep} - do you need to use buildKey()?`);
       }
     });
+  if (typeof fn !== 'function') throw new Error('computed requires a function');
 
-  // State slice?
-  if (typeof param1 === 'object') {
-    _fabricate.state = { ...state, ...param1 };
-    _fabricate.notifyStateChange(keys);
-    return;
-  }
-
-  // Keyed update?
-  if (typeof param1 === 'string') {
-    _fabricate.state[param1] = typeof param2 === 'function' ? param2(state) : param2;
-    _fabricate.notifyStateChange(keys);
-    // return;
-  }
-
-  // Should never happen but can't be covered easily
-  // throw new Error(`Invalid state update: ${typeof param1} ${typeof param2}`);
+  _fabricate.computedKeys[key] = { deps, fn };
+  _fabricate.state[key] = fn(_fabricate.getStateCopy());
 };
 
 /**
@@ -655,6 +3567,44 @@ fabricate.buildKey = (name, ...rest) => {
   return key;
 };
 
+/**
+ * Types for the schema option, describing the state.
+ */
+fabricate.types = Object.freeze({
+  string: { type: 'string' },
+  number: { type: 'number' },
+  boolean: { type: 'boolean' },
+  any: { type: 'any' },
+  /**
+   * Array type.
+   *
+   * @param {string|object} [items] - Type of every item.
+   * @returns {object} Schema type.
+   */
+  array: (items) => ({ type: 'array', items }),
+  /**
+   * Object type.
+   *
+   * @param {object} [shape] - Types of some or all properties.
+   * @returns {object} Schema type.
+   */
+  object: (shape) => ({ type: 'object', shape }),
+  /**
+   * Type allowing only some values.
+   *
+   * @param {Array<*>} values - Values allowed.
+   * @returns {object} Schema type.
+   */
+  enum: (values) => ({ type: 'enum', values }),
+  /**
+   * Type also allowing null or undefined.
+   *
+   * @param {string|object} type - Type when not null.
+   * @returns {object} Schema type.
+   */
+  nullable: (type) => ({ ..._fabricate.toSchemaType(type), nullable: true }),
+});
+
 /// /////////////////////////////////////////// Helpers ////////////////////////////////////////////
 
 /**
@@ -662,34 +3612,115 @@ fabricate.buildKey = (name, ...rest) => {
  *
  * @returns {boolean} true if running on a 'narrow' screen device.
  */
-fabricate.isNarrow = () => window.innerWidth < _fabricate.MOBILE_MAX_WIDTH;
+fabricate.isNarrow = () => typeof window !== 'undefined'
+  && _fabricate.getBreakpoint(window.innerWidth) === _fabricate.getBreakpoints()[0][0];
 
 /**
- * Begin a component hierarchy from the body.
+ * Begin a component hierarchy in the body, or another container. Each app has its own
+ * state, watchers, router, and options.
  *
  * @param {Function} rootCb - Callback to build the first element in the app tree.
  * @param {object} [initialState] - Optional, initial state.
  * @param {object} [opts] - Extra options.
+ * @param {HTMLElement} [opts.container] - Element to add the app root to.
+ * @returns {object} App handle.
  */
 fabricate.app = (rootCb, initialState = {}, opts = {}) => {
   if (typeof rootCb !== 'function') throw new Error('App root must be a builder function');
 
-  // Reset state
-  _fabricate.clearState();
-  _fabricate.state = initialState;
-  _fabricate.options = _fabricate.getDefaultOptions();
+  const { container = document.body, ...appOpts } = opts;
+  const app = _fabricate.startApp(initialState, appOpts);
+
+  return _fabricate.runInApp(app, () => {
+    // Build app
+    const root = rootCb();
+    _fabricate.applyStateWatchers(root);
+    _fabricate.applyTheme(root);
+    container.appendChild(root);
+    _fabricate.startLifecycle(root);
+
+    _fabricate.notifyAppInit();
+    return _fabricate.createAppHandle(app, root);
+  });
+};
+
+/**
+ * Begin a component hierarchy using existing elements in the page, such as those
+ * pre-rendered, instead of creating new ones.
+ *
+ * @param {Function} rootCb - Callback to build the first element in the app tree.
+ * @param {object} [initialState] - Optional, initial state.
+ * @param {object} [opts] - Extra options.
+ * @param {HTMLElement} [opts.container] - Element containing the existing app root.
+ * @returns {object} App handle.
+ */
+fabricate.hydrate = (rootCb, initialState = {}, opts = {}) => {
+  if (typeof rootCb !== 'function') throw new Error('App root must be a builder function');
+
+  const { container = document.body, ...appOpts } = opts;
+  const app = _fabricate.startApp(initialState, appOpts);
+
+  return _fabricate.runInApp(app, () => {
+    // Build app, then use existing elements in its place
+    _fabricate.isHydrating = true;
+    let root;
+    try {
+      const built = rootCb();
+      const existing = container.firstElementChild;
+      if (existing) {
+        root = _fabricate.hydrateElement(built, existing);
+      } else {
+        _fabricate.reportHydrationMismatch(built, 'missing from page');
+        root = container.appendChild(built);
+      }
+
+      _fabricate.remapHydratedElements();
+    } finally {
+      _fabricate.isHydrating = false;
+      _fabricate.hydrationElements = new Map();
+    }
+
+    _fabricate.applyStateWatchers(root);
+    _fabricate.applyTheme(root);
+    _fabricate.startLifecycle(root);
+    _fabricate.notifyAppInit();
+    return _fabricate.createAppHandle(app, root);
+  });
+};
+
+/**
+ * Render a component hierarchy to a HTML string, without needing a browser.
+ * Event handlers are ignored, and watchers of fabricate:init and fabricate:created are
+ * run once so the output reflects the initial state.
+ *
+ * @param {Function} rootCb - Callback to build the first element in the app tree.
+ * @param {object} [initialState] - Optional, initial state.
+ * @param {object} [opts] - Extra options, such as theme.
+ * @returns {string} HTML string.
+ */
+fabricate.renderToString = (rootCb, initialState = {}, opts = {}) => {
+  if (typeof rootCb !== 'function') throw new Error('App root must be a builder function');
+
+  // Nothing rendered remains live, so use a temporary app
+  const app = _fabricate.createAppContext();
+  app.state = { ...initialState };
+  Object.assign(app.options, opts);
 
-  // Apply options
-  Object.assign(_fabricate.options, opts);
-  _fabricate.validateOptions();
-  if (opts.persistState) _fabricate.loadPersistState();
+  return _fabricate.runInApp(app, () => {
+    _fabricate.validateOptions();
 
-  // Build app
-  const root = rootCb();
-  _fabricate.applyStateWatchers(root);
-  document.body.appendChild(root);
+    _fabricate.isRenderingToString = true;
+    try {
+      const root = rootCb();
+      _fabricate.applyStateWatchers(root);
+      _fabricate.applyTheme(root);
+      _fabricate.notifyStateChange([_fabricate.StateKeys.Init]);
 
-  _fabricate.notifyStateChange([_fabricate.StateKeys.Init]);
+      return _fabricate.renderElementToString(root);
+    } finally {
+      _fabricate.isRenderingToString = false;
+    }
+  });
 };
 
 /**
@@ -712,8 +3743,10 @@ fabricate.declare = (name, builderCb) => {
  * @param {Function} cb - Callback when key pressed.
  */
 fabricate.onKeyDown = (cb) => {
+  const app = _fabricate.currentApp;
+
   document.addEventListener('keydown', ({ key }) => {
-    cb(_fabricate.getStateCopy(), key);
+    _fabricate.runInApp(app, () => cb(_fabricate.getStateCopy(), key));
   });
 };
 
@@ -725,21 +3758,66 @@ fabricate.onKeyDown = (cb) => {
  * @param {Function} builderCb - Component build callback.
  * @param {object} [options] - Options for the conditional.
  * @param {boolean} [options.asyncReplace] - If true, the component is replaced asynchronously.
+ * @param {string|object} [options.transition] - Animate the component entering and leaving.
+ * @param {object} [options.transitionGroup] - Object shared by conditionals showing one at a
+ *                                              time, so one enters once another has left.
  * @returns {FabricateComponent} Wrapper component.
  */
 fabricate.conditional = (testCb, builderCb, options = {}) => {
-  const { asyncReplace } = options;
+  const { asyncReplace, transition, transitionGroup } = options;
+  if (transition) _fabricate.validateTransition(transition);
 
+  const app = _fabricate.currentApp;
   const wrapper = fabricate('div');
+  const animations = transition ? _fabricate.getTransition(transition) : undefined;
   let lastResult;
+  let changes = 0;
 
   /**
    * Add a child component to the wrapper.
+   *
+   * @param {boolean} isFirst - true if this is the first render, which is not animated.
+   * @returns {void}
    */
-  const addChild = () => {
+  const addChild = (isFirst) => _fabricate.runInApp(app, () => {
     const child = builderCb();
     _fabricate.applyStateWatchers(child);
     wrapper.setChildren([child]);
+    if (animations && !isFirst) {
+      _fabricate.playTransition(child, animations.enter, animations.durationMs, () => {});
+    }
+  });
+
+  /**
+   * Remove the child component, once any leave animation ends.
+   *
+   * @returns {void}
+   */
+  const removeChild = () => {
+    const child = wrapper.firstElementChild;
+    if (!animations || !child) {
+      wrapper.empty();
+      return;
+    }
+
+    const leaving = new Promise((resolve) => {
+      _fabricate.playTransition(child, animations.leave, animations.durationMs, () => {
+        // It may have been replaced already
+        if (child.parentNode === wrapper) {
+          _fabricate.runInApp(app, () => _fabricate.notifyRemovedRecursive(child));
+          child.remove();
+        }
+        resolve();
+      });
+    });
+    if (!transitionGroup) return;
+
+    // eslint-disable-next-line no-param-reassign
+    transitionGroup.leaving = leaving;
+    leaving.then(() => {
+      // eslint-disable-next-line no-param-reassign
+      if (transitionGroup.leaving === leaving) transitionGroup.leaving = undefined;
+    });
   };
 
   /**
@@ -749,22 +3827,32 @@ fabricate.conditional = (testCb, builderCb, options = {}) => {
    */
   const onStateUpdate = () => {
     const newResult = _fabricate.handleConditionalDisplay(wrapper, lastResult, testCb);
-    // console.log({ lastResult, newResult, asyncReplace });
     if (newResult === lastResult) return;
 
+    const isFirst = typeof lastResult === 'undefined';
     lastResult = newResult;
+    changes += 1;
     if (!newResult) {
-      wrapper.empty();
+      removeChild();
+      return;
+    }
+
+    // Wait for another in the group to leave, unless this changes again first
+    if (transitionGroup && transitionGroup.leaving) {
+      const change = changes;
+      transitionGroup.leaving.then(() => {
+        if (change === changes) addChild(isFirst);
+      });
       return;
     }
 
     if (!asyncReplace) {
-      addChild();
+      addChild(isFirst);
       return;
     }
 
     // Allow UI thread to clear the wrapper first
-    setTimeout(addChild, 50);
+    setTimeout(() => addChild(isFirst), 50);
   };
 
   // Edge case: Assume conditional is always used straight away
@@ -772,7 +3860,7 @@ fabricate.conditional = (testCb, builderCb, options = {}) => {
     el: wrapper,
     cb: onStateUpdate,
   });
-  wrapper.onDestroy(() => _fabricate.unregisterStateWatcher(wrapper));
+  wrapper.onDestroy(_fabricate.unregisterStateWatcher);
 
   // Test right away
   onStateUpdate();
@@ -780,52 +3868,467 @@ fabricate.conditional = (testCb, builderCb, options = {}) => {
   return wrapper;
 };
 
+/**
+ * Render a list of items in state, keeping existing rows when the list changes.
+ *
+ * @param {string} stateKey - State key holding the array of items.
+ * @param {Function} keyFn - Function returning a unique key for each item.
+ * @param {Function} builderCb - Function to build the child for an item.
+ * @returns {FabricateComponent} Wrapper component.
+ */
+fabricate.list = (stateKey, keyFn, builderCb) => {
+  if (!stateKey || typeof stateKey !== 'string') throw new Error('list requires a stateKey string');
+
+  return fabricate('div')
+    .onUpdate((el, state) => {
+      el.setKeyedChildren(state[stateKey] || [], keyFn, builderCb);
+    }, [_fabricate.StateKeys.Created, stateKey]);
+};
+
+/**
+ * Create a form keeping its values, and the touched, dirty, and error state of each field,
+ * in a state key. Bind fields with el.bind() to '<stateKey>.values.<field>'.
+ *
+ * @param {object} config - Form configuration.
+ * @param {string} config.stateKey - State key to keep the form state in.
+ * @param {object} config.fields - Initial value of each field.
+ * @param {object} [config.validators] - Validators of some or all fields.
+ * @param {Function} [config.onSubmit] - Callback with the values when a valid form is submitted.
+ * @returns {FabricateComponent} Form component.
+ */
+fabricate.form = ({
+  stateKey,
+  fields,
+  validators = {},
+  onSubmit,
+} = {}) => {
+  if (!stateKey || typeof stateKey !== 'string') throw new Error('form requires a stateKey string');
+  if (!fields || typeof fields !== 'object') throw new Error('form requires a fields object');
+  Object.entries(validators).forEach(([name, list]) => {
+    if (!(name in fields)) throw new Error(`form validators field ${name} is not in fields`);
+    if (!Array.isArray(list) || !list.every((p) => typeof p === 'function')) {
+      throw new Error(`form validators for ${name} must be an array of functions`);
+    }
+  });
+  if (onSubmit && typeof onSubmit !== 'function') throw new Error('form onSubmit must be a function');
+
+  const app = _fabricate.currentApp;
+  const names = Object.keys(fields);
+  const valuesKey = `${stateKey}.values.`;
+  // Validation runs of each field, so older async results are ignored
+  const runs = {};
+  const pending = new Set();
+  let lastValues;
+
+  /**
+   * Get the form state.
+   *
+   * @returns {object} Form state.
+   */
+  const getForm = () => _fabricate.state[stateKey];
+
+  /**
+   * Update the form state, or parts of it with key paths.
+   *
+   * @param {object} update - Form state update, with keys relative to the form.
+   * @returns {void}
+   */
+  const updateForm = (update) => _fabricate.runInApp(app, () => fabricate.update(
+    Object.fromEntries(Object.entries(update).map(([k, v]) => [`${stateKey}.${k}`, v])),
+  ));
+
+  /**
+   * Validate some fields, updating their errors once any async validators finish.
+   *
+   * @param {Array<string>} fieldNames - Fields to validate.
+   * @returns {Promise<boolean>} true if the whole form is valid.
+   */
+  const validateFields = (fieldNames) => {
+    const { values } = getForm();
+    /**
+     * Get the field error for a validator that threw or rejected.
+     *
+     * @param {Error} err - Error thrown.
+     * @returns {string} Error message.
+     */
+    const getFailedError = (err) => (err && err.message) || 'Validation failed';
+
+    const results = fieldNames.map((name) => {
+      runs[name] = (runs[name] || 0) + 1;
+      let result;
+      try {
+        result = _fabricate.runValidators(validators[name] || [], values[name], values);
+      } catch (err) {
+        // A failed validator is the field's error
+        result = getFailedError(err);
+      }
+      return { name, run: runs[name], result };
+    });
+
+    /**
+     * Update the errors of fields not validated again since.
+     *
+     * @param {Array<object>} validated - Validation of each field, with its error.
+     * @returns {boolean} true if the whole form is valid.
+     */
+    const applyErrors = (validated) => {
+      const current = validated.filter(({ name, run }) => runs[name] === run);
+      current.forEach(({ name }) => pending.delete(name));
+      const errors = {
+        ...getForm().errors,
+        ...Object.fromEntries(current.map(({ name, error }) => [name, error || null])),
+      };
+
+      updateForm({
+        errors,
+        isValid: Object.values(errors).every((p) => !p),
+        isValidating: pending.size > 0,
+      });
+      return getForm().isValid;
+    };
+
+    const asyncResults = results.filter(({ result }) => result && typeof result.then === 'function');
+    if (!asyncResults.length) {
+      return Promise.resolve(applyErrors(results.map((p) => ({ ...p, error: p.result }))));
+    }
+
+    asyncResults.forEach(({ name }) => pending.add(name));
+    updateForm({ isValidating: true });
+    return Promise
+      .all(results.map((p) => Promise.resolve(p.result).then(
+        (error) => ({ ...p, error }),
+        (err) => ({ ...p, error: getFailedError(err) }),
+      )))
+      .then(applyErrors);
+  };
+
+  /**
+   * When form values change, update which fields are dirty and validate them.
+   *
+   * @returns {void}
+   */
+  const onValuesUpdate = () => {
+    const { values } = getForm();
+    const changed = names.filter((p) => !lastValues || values[p] !== lastValues[p]);
+    lastValues = values;
+    if (!changed.length) return;
+
+    updateForm(Object.fromEntries(changed.map((p) => [`dirty.${p}`, values[p] !== fields[p]])));
+    validateFields(changed)
+      .catch((err) => console.warn(`Failed to validate form ${stateKey}: ${err.message}`));
+  };
+
+  // Keep existing form state, such as if persisted
+  if (!getForm()) {
+    _fabricate.state = { ..._fabricate.state, [stateKey]: _fabricate.createFormState(fields) };
+  }
+
+  const form = fabricate('form')
+    .onUpdate(onValuesUpdate, [_fabricate.StateKeys.Created, `${stateKey}.values`])
+    .onEvent('focusout', (el, state, { target }) => {
+      // Fields are touched once the user leaves them
+      const { boundKey } = target;
+      if (!boundKey || !boundKey.startsWith(valuesKey)) return;
+
+      const name = boundKey.slice(valuesKey.length);
+      if (names.includes(name) && !getForm().touched[name]) updateForm({ [`touched.${name}`]: true });
+    })
+    .onEvent('submit', (el, state, e) => {
+      e.preventDefault();
+      form.submitForm()
+        .catch((err) => console.warn(`Failed to submit form ${stateKey}: ${err.message}`));
+    });
+
+  /**
+   * Validate all fields, then submit the values if the form is valid.
+   *
+   * @returns {Promise<boolean>} true if the form was valid and submitted.
+   */
+  form.submitForm = () => {
+    const { submitCount } = getForm();
+    updateForm({
+      touched: Object.fromEntries(names.map((p) => [p, true])),
+      submitCount: submitCount + 1,
+    });
+
+    return validateFields(names).then((isValid) => {
+      if (!isValid || !onSubmit) return isValid;
+
+      updateForm({ isSubmitting: true });
+      const { values } = getForm();
+      return Promise.resolve()
+        .then(() => _fabricate.runInApp(
+          app,
+          () => onSubmit({ ...values }, _fabricate.getStateCopy()),
+        ))
+        .then(() => true)
+        .finally(() => updateForm({ isSubmitting: false }));
+    });
+  };
+
+  /**
+   * Reset the form to its initial values, with no fields touched or dirty.
+   *
+   * @returns {FabricateComponent} Form component.
+   */
+  form.resetForm = () => {
+    lastValues = undefined;
+    _fabricate.runInApp(app, () => fabricate.update(stateKey, _fabricate.createFormState(fields)));
+    return form;
+  };
+
+  return form;
+};
+
+/**
+ * Validators for form fields. Each gives an error message if the value is not valid.
+ * Any function of the value and all form values returning an error, or a Promise of one,
+ * can also be used.
+ */
+fabricate.validators = Object.freeze({
+  /**
+   * Require a value.
+   *
+   * @param {string} [message] - Error message.
+   * @returns {Function} Validator.
+   */
+  required: (message = 'Required') => (value) => (_fabricate.isEmptyValue(value) ? message : null),
+  /**
+   * Require a minimum length, if there is a value.
+   *
+   * @param {number} length - Minimum length.
+   * @param {string} [message] - Error message.
+   * @returns {Function} Validator.
+   */
+  minLength: (length, message = `Must be at least ${length} characters`) => (value) => (
+    !_fabricate.isEmptyValue(value) && `${value}`.length < length ? message : null
+  ),
+  /**
+   * Require a value to match a pattern, if there is a value.
+   *
+   * @param {RegExp} regExp - Pattern to match.
+   * @param {string} [message] - Error message.
+   * @returns {Function} Validator.
+   */
+  pattern: (regExp, message = 'Invalid format') => (value) => (
+    !_fabricate.isEmptyValue(value) && !regExp.test(`${value}`) ? message : null
+  ),
+  /**
+   * Require an email address, if there is a value.
+   *
+   * @param {string} [message] - Error message.
+   * @returns {Function} Validator.
+   */
+  email: (message = 'Invalid email address') => fabricate.validators.pattern(
+    /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    message,
+  ),
+});
+
 /**
  * Use a router to show many pages inside the parent component.
  *
  * @param {object} router - Object of routes and components to render.
  * @param {object} [options] - Options for the router.
  * @param {boolean} [options.asyncReplace] - If true, the component is replaced asynchronously.
+ * @param {string|object} [options.transition] - Animate pages entering and leaving.
+ * @param {string} [options.mode] - 'memory' (default), or 'path' or 'hash' to sync the URL.
+ * @param {Function} [options.pendingBuilder] - Builds the page shown while a route is loading.
+ * @param {Function} [options.errorBuilder] - Builds the page shown if a route fails to load.
  * @returns {void}
  */
 fabricate.router = (router, options = {}) => {
   // Validate
   if (!router || !router['/']) throw new Error('Must provide initial route /');
   if (!Object.entries(router).every(
-    ([route, builderCb]) => route.startsWith('/') && typeof builderCb === 'function',
+    ([route, routeDef]) => (route.startsWith('/') || route === '*') && _fabricate.isValidRouteDef(routeDef),
   )) {
-    throw new Error('Every route in router must be builder function');
+    throw new Error('Every route in router must be builder function or route object');
   }
   if (_fabricate.router) throw new Error('There can only be one router per app');
   if (!!options && typeof options !== 'object') throw new Error('Options must be an object');
   if (options.asyncReplace && typeof options.asyncReplace !== 'boolean') {
     throw new Error('asyncReplace option must be a boolean');
   }
+  if (options.mode && !['memory', 'path', 'hash'].includes(options.mode)) {
+    throw new Error('mode option must be one of memory, path, hash');
+  }
+  if (['pendingBuilder', 'errorBuilder'].some((p) => options[p] && typeof options[p] !== 'function')) {
+    throw new Error('pendingBuilder and errorBuilder options must be functions');
+  }
+  if (options.transition) _fabricate.validateTransition(options.transition);
 
-  const { asyncReplace } = options;
+  const {
+    asyncReplace,
+    transition,
+    mode = 'memory',
+    pendingBuilder = () => fabricate('Loader'),
+    errorBuilder = (err) => fabricate('Text').setText(err.message),
+  } = options;
 
   _fabricate.router = router;
+  _fabricate.routes = _fabricate.flattenRoutes(router);
+  _fabricate.routerMode = mode;
+
+  /**
+   * Build a wrapper showing the page for the current route, out of routes at one level.
+   *
+   * @param {object} routes - Routes at this level.
+   * @param {string} prefix - Parent route pattern, if any.
+   * @param {number} level - Level of nesting.
+   * @returns {FabricateComponent} Wrapper component.
+   */
+  const buildRoutes = (routes, prefix, level) => {
+    /**
+     * Build a route's page, loading its data first if required.
+     *
+     * @param {object} routeObject - Route object.
+     * @param {Function} routeObject.builder - Builds the route page, given any loaded data.
+     * @param {Function} [routeObject.load] - Loads data for the route page.
+     * @param {object} [routeObject.children] - Child routes shown in the page's outlet.
+     * @param {string} pattern - Full route pattern.
+     * @returns {FabricateComponent} Route page.
+     */
+    const buildRoute = ({ builder, load, children }, pattern) => {
+      /**
+       * Build the page, with an outlet for any child routes.
+       *
+       * @param {*} [data] - Loaded data, if any.
+       * @returns {FabricateComponent} Route page.
+       */
+      const buildPage = (data) => _fabricate.buildWithRouteOutlet(
+        children ? () => buildRoutes(children, pattern, level + 1) : undefined,
+        () => builder(data),
+      );
+
+      if (!load) return buildPage();
+
+      // Route may be left before loading finishes
+      let isDestroyed = false;
+      const page = fabricate('div')
+        .onDestroy(() => {
+          isDestroyed = true;
+        })
+        .setChildren([pendingBuilder()]);
+
+      const app = _fabricate.currentApp;
+      const params = _fabricate.state[_fabricate.StateKeys.RouteParams];
+      Promise.resolve()
+        .then(() => load(_fabricate.getStateCopy(), params))
+        .then((data) => _fabricate.runInApp(app, () => {
+          if (!isDestroyed) page.setChildren([buildPage(data)]);
+        }))
+        .catch((err) => _fabricate.runInApp(app, () => {
+          if (!isDestroyed) page.setChildren([errorBuilder(err)]);
+        }));
+
+      return page;
+    };
+
+    /**
+     * Get the part of a route shown by a pattern at this level, such as '/users/1' for
+     * '/users/:id', so a change of its params builds the page again.
+     *
+     * @param {string} route - Current route.
+     * @param {string} pattern - Full route pattern.
+     * @returns {string|undefined} Part of the route, if the pattern is shown.
+     */
+    const getPageRoute = (route, pattern) => {
+      const match = _fabricate.matchRoute(route);
+      if (!match || match.patterns[level] !== pattern) return undefined;
+
+      return route.split('/').slice(0, pattern.split('/').length).join('/');
+    };
+
+    // Pages at this level take turns, so the next enters once the last has left
+    const transitionGroup = {};
+    const wrapper = fabricate('div');
+    Object.entries(routes)
+      .forEach(([key, routeDef]) => {
+        const pattern = _fabricate.joinRoutePattern(prefix, key);
+        const routeObject = _fabricate.toRouteObject(routeDef);
+        let pageRoute;
+
+        /**
+         * Build the page for the current route.
+         *
+         * @returns {FabricateComponent} Route page.
+         */
+        const buildCurrentRoute = () => {
+          pageRoute = getPageRoute(_fabricate.state[_fabricate.StateKeys.Route], pattern);
+          return buildRoute(routeObject, pattern);
+        };
+
+        wrapper.addChildren([
+          fabricate.conditional(
+            (state) => typeof getPageRoute(state[_fabricate.StateKeys.Route], pattern) === 'string',
+            buildCurrentRoute,
+            { asyncReplace, transition, transitionGroup },
+          )
+            // Same pattern with new params, such as '/users/1' to '/users/2'
+            .onUpdate((el, state) => {
+              const newPageRoute = getPageRoute(state[_fabricate.StateKeys.Route], pattern);
+              if (typeof newPageRoute !== 'string' || newPageRoute === pageRoute) return;
+              if (!el.firstElementChild) return;
+
+              const page = buildCurrentRoute();
+              _fabricate.applyStateWatchers(page);
+              el.setChildren([page]);
+            }, [_fabricate.StateKeys.Route]),
+        ]);
+      });
+
+    return wrapper;
+  };
 
   // Add all routes in router
-  const wrapper = fabricate('div');
-  Object.entries(router)
-    .forEach(([route, builderCb]) => {
-      wrapper.addChildren([
-        fabricate.conditional(
-          (state) => state[_fabricate.StateKeys.Route] === route,
-          builderCb,
-          { asyncReplace },
-        ),
-      ]);
-    });
+  const wrapper = buildRoutes(router, '', 0);
+
+  // Initial route is '/', or taken from the URL
+  let initialRoute = '/';
+  if (mode !== 'memory') {
+    const browserRoute = _fabricate.getBrowserRoute();
+    if (_fabricate.matchRoute(browserRoute)) initialRoute = browserRoute;
+
+    const app = _fabricate.currentApp;
+    /**
+     * When the browser route changes, in this app.
+     *
+     * @param {PopStateEvent} e - Popstate event.
+     * @returns {void}
+     */
+    _fabricate.popStateListener = (e) => _fabricate.runInApp(
+      app,
+      () => _fabricate.onBrowserRouteChange(e),
+    );
+    window.addEventListener('popstate', _fabricate.popStateListener);
+  }
+
+  // Guards may redirect the first route too, or cancel it in favour of '/'
+  let firstRoute = _fabricate.resolveRouteGuards(undefined, initialRoute);
+  if (!firstRoute && initialRoute !== '/') firstRoute = _fabricate.resolveRouteGuards(undefined, '/');
+  if (!firstRoute) throw new Error('Route guards cancelled the initial route and /');
 
-  // Initial route is '/'
-  _fabricate.routeHistory = ['/'];
-  fabricate.update(_fabricate.StateKeys.Route, '/');
+  // Browser history entry of the first route is at the start of the route history
+  _fabricate.routeHistory = [firstRoute];
+  _fabricate.pushBrowserRoute(firstRoute, true);
+  _fabricate.updateRoute(firstRoute);
 
   return wrapper;
 };
 
+/**
+ * Show the page for the current child route, inside the layout of a route with children.
+ *
+ * @returns {FabricateComponent} Wrapper component.
+ */
+fabricate.outlet = () => {
+  const { routeOutlet } = _fabricate;
+  if (!routeOutlet) throw new Error('outlet() must be used while building a route with children');
+
+  return routeOutlet();
+};
+
 /**
  * Navigate to a given route. If it exists, it is rendered.
  *
@@ -835,7 +4338,7 @@ fabricate.navigate = (route) => {
   if (!_fabricate.routeHistory) {
     throw new Error('No route history - are you using fabricate.router()?');
   }
-  if (!_fabricate.router[route]) {
+  if (!_fabricate.matchRoute(route)) {
     throw new Error(`Unknown route: ${route}`);
   }
 
@@ -845,9 +4348,14 @@ fabricate.navigate = (route) => {
     return;
   }
 
-  _fabricate.routeHistory.push(route);
+  // Guards may cancel or redirect
+  const target = _fabricate.resolveRouteGuards(last, route);
+  if (!target || target === last) return;
+
+  _fabricate.routeHistory.push(target);
+  _fabricate.pushBrowserRoute(target);
 
-  fabricate.update(_fabricate.StateKeys.Route, route);
+  _fabricate.updateRoute(target);
 };
 
 /**
@@ -862,6 +4370,12 @@ fabricate.goBack = () => {
     return;
   }
 
+  // Browser will report the new route with popstate
+  if (_fabricate.routerMode !== 'memory') {
+    window.history.back();
+    return;
+  }
+
   const [last] = _fabricate.routeHistory.slice(-2);
   fabricate.navigate(last);
 };
@@ -927,8 +4441,8 @@ fabricate.declare('Image', ({ src = '', width, height } = {}) => {
  */
 fabricate.declare('Button', ({
   text = 'Button',
-  color = 'white',
-  backgroundColor = '#444',
+  color = fabricate.themeVar('onSecondary'),
+  backgroundColor = fabricate.themeVar('secondary'),
   highlight = true,
 } = {}) => fabricate('Column')
   .setStyles({
@@ -945,13 +4459,8 @@ fabricate.declare('Button', ({
     textAlign: 'center',
     cursor: 'pointer',
     userSelect: 'none',
-    filter: 'brightness(1)',
-  })
-  .onHover((el, state, isHovered) => {
-    if (!highlight) return;
-
-    el.setStyles({ filter: `brightness(${isHovered ? '1.2' : '1'})` });
   })
+  .addClass(...(highlight ? [{ ':hover': { filter: 'brightness(1.2)' } }] : []))
   .setText(text));
 
 /**
@@ -959,8 +4468,8 @@ fabricate.declare('Button', ({
  */
 fabricate.declare('NavBar', ({
   title = 'NavBar Title',
-  color = 'white',
-  backgroundColor = 'forestgreen',
+  color = fabricate.themeVar('onPrimary'),
+  backgroundColor = fabricate.themeVar('primary'),
 } = {}) => {
   const titleH1 = fabricate('h1')
     .setStyles({
@@ -998,13 +4507,13 @@ fabricate.declare('NavBar', ({
  */
 fabricate.declare('TextInput', ({
   placeholder = 'Enter value',
-  color = 'black',
-  backgroundColor = '#f5f5f5',
+  color = fabricate.themeVar('onInput'),
+  backgroundColor = fabricate.themeVar('input'),
 } = {}) => fabricate('input')
   .asFlex('row')
   .setStyles({
     width: 'max-content',
-    border: '1px solid white',
+    border: `1px solid ${fabricate.themeVar('surface')}`,
     color,
     backgroundColor,
     borderRadius: '5px',
@@ -1020,32 +4529,49 @@ fabricate.declare('TextInput', ({
 fabricate.declare('Loader', ({
   size = 48,
   lineWidth = 5,
-  color = 'red',
-  backgroundColor = '#ddd',
+  color = fabricate.themeVar('accent'),
+  backgroundColor = fabricate.themeVar('track'),
 } = {}) => {
   const container = fabricate('Column').setStyles({ width: `${size}px`, height: `${size}px` });
 
+  const spin = fabricate.keyframes({ '100%': { transform: 'rotate(360deg)' } });
   const canvas = fabricate('canvas')
     .setStyles({
       width: `${size}px`,
       height: `${size}px`,
-      animation: 'spin 0.7s linear infinite',
+      animation: `${spin} 0.7s linear infinite`,
     })
     .setAttributes({ width: size, height: size });
 
-  // Get context and draw arcs
-  const ctx = canvas.getContext('2d');
-  const center = size / 2;
-  const radius = 0.8 * (size / 2);
-  ctx.lineWidth = lineWidth;
-  ctx.beginPath();
-  ctx.arc(center, center, radius, 0, 2 * Math.PI);
-  ctx.strokeStyle = backgroundColor;
-  ctx.stroke();
-  ctx.beginPath();
-  ctx.arc(center, center, radius, 0, 1);
-  ctx.strokeStyle = color;
-  ctx.stroke();
+  // Canvas can't be drawn when rendering to string
+  if (canvas.isServerElement) {
+    container.setChildren([canvas]);
+    return container;
+  }
+
+  /**
+   * Draw arcs, in the current theme's colors.
+   *
+   * @returns {void}
+   */
+  const draw = () => {
+    const ctx = canvas.getContext('2d');
+    const center = size / 2;
+    const radius = 0.8 * (size / 2);
+    ctx.lineWidth = lineWidth;
+    ctx.beginPath();
+    ctx.arc(center, center, radius, 0, 2 * Math.PI);
+    ctx.strokeStyle = _fabricate.resolveThemeColor(backgroundColor);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(center, center, radius, 0, 1);
+    ctx.strokeStyle = _fabricate.resolveThemeColor(color);
+    ctx.stroke();
+  };
+  draw();
+
+  // Canvas can't use CSS custom properties
+  canvas.onUpdate(draw, [fabricate.StateKeys.Theme]);
 
   container.setChildren([canvas]);
   return container;
@@ -1058,8 +4584,8 @@ fabricate.declare('Card', () => fabricate('Column')
   .setStyles({
     width: 'max-content',
     borderRadius: '5px',
-    boxShadow: '2px 2px 3px 1px #5555',
-    backgroundColor: 'white',
+    boxShadow: `2px 2px 3px 1px ${fabricate.themeVar('shadow')}`,
+    backgroundColor: fabricate.themeVar('surface'),
     overflow: 'hidden',
   }));
 
@@ -1080,8 +4606,8 @@ fabricate.declare('Fader', ({
  */
 fabricate.declare('Pill', ({
   text = 'Pill',
-  color = 'white',
-  backgroundColor = '#666',
+  color = fabricate.themeVar('onMuted'),
+  backgroundColor = fabricate.themeVar('muted'),
   highlight = true,
 } = {}) => fabricate('Column')
   .setStyles({
@@ -1092,14 +4618,9 @@ fabricate.declare('Pill', ({
     padding: '7px 8px 5px 8px',
     margin: '5px',
     cursor: 'pointer',
-    filter: 'brightness(1)',
     width: 'fit-content',
   })
-  .onHover((el, state, isHovered) => {
-    if (!highlight) return;
-
-    el.setStyles({ filter: `brightness(${isHovered ? '1.2' : '1'})` });
-  })
+  .addClass(...(highlight ? [{ ':hover': { filter: 'brightness(1.2)' } }] : []))
   .setText(text));
 
 /**
@@ -1134,7 +4655,10 @@ fabricate.declare('Tabs', ({
   if (names.length === 0 || !allTabsValid) throw new Error('Invalid \'tabs\' configuration');
 
   const stateKey = `fabricate:Tabs:${names.join('_')}`;
-  const { color = 'white', backgroundColor = '#666' } = tabStyles;
+  const {
+    color = fabricate.themeVar('onMuted'),
+    backgroundColor = fabricate.themeVar('muted'),
+  } = tabStyles;
 
   /**
    * Tab component.
@@ -1205,9 +4729,9 @@ fabricate.declare('Select', ({ options = [] } = {}) => {
     });
 
   options.forEach((p) => {
-    const option = document.createElement('option');
-    option.value = p.value;
-    option.innerHTML = p.label;
+    const option = fabricate('option')
+      .setAttributes({ value: p.value })
+      .setHtml(p.label);
     root.appendChild(option);
   });
 
@@ -1220,8 +4744,8 @@ fabricate.declare('Select', ({ options = [] } = {}) => {
 fabricate.declare('HorizontalProgress', ({
   stateKey,
   height = '8px',
-  color = 'red',
-  backgroundColor = '#ddd',
+  color = fabricate.themeVar('accent'),
+  backgroundColor = fabricate.themeVar('track'),
   borderRadius = '4px',
 }) => {
   if (!stateKey || typeof stateKey !== 'string') {
@@ -1293,19 +4817,10 @@ const fab = (name, param1, param2) => {
   return el;
 };
 
-window.fab = fab;
+if (typeof window !== 'undefined') window.fab = fab;
 
 fabricate.StateKeys = Object.freeze({ ..._fabricate.StateKeys });
 
-/// /////////////////////////////////////////// Styles /////////////////////////////////////////////
-
-document.head.appendChild(fabricate('style')
-  .setHtml(`@keyframes spin {
-    100% {
-      transform:rotate(360deg);
-    }
-  }`));
-
 // Allow 'require' in unit tests
 if (typeof module !== 'undefined') {
   module.exports = {
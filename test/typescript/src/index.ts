@@ -1,7 +1,9 @@
 import { Fabricate, FabricateComponent, FabricateOptions } from "../../../types/fabricate";
+import { InstallDevtools } from "../../../types/devtools";
 
 declare const fabricate: Fabricate<AppState>;
 declare const fab: Fabricate<AppState>;
+declare const installDevtools: InstallDevtools;
 
 ///////////////////////////////////////// Example app build ////////////////////////////////////////
 
@@ -38,8 +40,25 @@ const TestPage = () => fabricate('Column')
 const App = (): FabricateComponent<AppState> => fabricate.router({
   '/': TestPage,
   '/other': TestPage,
+  '/users/:id': {
+    beforeEnter: (state, from, to) => (state.updated ? true : '/'),
+    load: (state, { id }) => Promise.resolve(id),
+    builder: (id) => TestPage().setText(id),
+  },
+  '/settings': {
+    builder: () => fabricate('Row').setChildren([fabricate.outlet()]),
+    children: {
+      '/': TestPage,
+      '/profile': TestPage,
+    },
+  },
+  '*': TestPage,
 }, {
   asyncReplace: true,
+  transition: 'fade',
+  mode: 'hash',
+  pendingBuilder: () => fabricate('Loader'),
+  errorBuilder: (err) => fabricate('Text').setText(err.message),
 });
 setTimeout(() => {
   fabricate.navigate('/other');
@@ -51,6 +70,7 @@ setTimeout(() => {
 const initialState = { counter: 0, updated: false };
 const options: FabricateOptions = {
   debug: true,
+  batchUpdates: false,
   persistState: ['counter'],
   theme: {
     palette: {
@@ -66,7 +86,48 @@ const options: FabricateOptions = {
   },
 };
 
-fabricate.app(App, initialState, options);
+const app = fabricate.app(App, initialState, {
+  ...options,
+  container: document.body,
+  storage: {
+    get: async (key) => localStorage.getItem(key),
+    set: (key, value) => localStorage.setItem(key, value),
+  },
+  storageKey: 'test',
+  stateVersion: 2,
+  migrate: (oldState, version) => (version < 2 ? {} : oldState),
+  persistDebounceMs: 200,
+  syncTabs: true,
+  history: ['counter'],
+  historyLimit: 50,
+  skipUnchangedUpdates: true,
+  observeLifecycle: true,
+  breakpoints: { mobile: 0, tablet: 600, desktop: 1200 },
+  schema: {
+    counter: 'number',
+    updated: fabricate.types.nullable(fabricate.types.boolean),
+    'UserCard:*': fabricate.types.object({ tags: fabricate.types.array('string') }),
+  },
+});
+fabricate.transaction(() => fabricate.update('counter', 2));
+if (fabricate.canUndo()) fabricate.undo();
+if (fabricate.canRedo()) fabricate.redo();
+fabricate.flushLifecycle();
+
+const removePlugin = fabricate.use({
+  name: 'test',
+  beforeUpdate: (keys, next, prev) => (prev.counter > 10 ? false : next),
+  afterUpdate: (keys, state, msTaken) => console.log(keys, state.counter, msTaken),
+  onAppStart: (state) => console.log(state.updated),
+  onNavigate: (from, to) => console.log(from, to),
+});
+removePlugin();
+
+fabricate.startRecording();
+const recording = fabricate.stopRecording();
+fabricate.loadRecording(recording);
+console.log(fabricate.stepForward(), fabricate.stepBack());
+console.log(app.getState().counter);
 
 setInterval(() => fabricate.update('counter', ({ counter }) => counter + 1), 1000);
 
@@ -91,15 +152,21 @@ fabricate('div')
     fab('div', { color: 'red' }, [
       fab('Text').setText('This is a test child'),
     ]),
-    fabricate.conditional((state) => state.counter > 0, () => fabricate('Text'))
+    fabricate.conditional((state) => state.counter > 0, () => fabricate('Text')),
+    fabricate.list<{ id: number }>('items', ({ id }) => id, ({ id }) => fabricate('Text').setText(`${id}`)),
   ], 'foo')
+  .setKeyedChildren([1, 2, 3], (p) => p, (p) => fabricate('Text').setText(`${p}`))
   .setHtml('<div/>')
   .setText('foo')
   .onClick((el, state) => console.log(state))
   .onChange((el, state, newValue) => console.log(newValue))
   .onHover((el, state, isHovered) => console.log(isHovered))
   .onUpdate((el, state, updatedKeys) => console.log(updatedKeys), ["counter"])
+  .onUpdate((el, state, updatedKeys) => console.log(updatedKeys), ["counter.value"])
+  .onSelect((state) => [state.counter], (el, [counter]) => el.setText(`${counter}`))
   .onDestroy((el, state) => console.log('destroyed'))
+  .onMount((el, state) => console.log('mounted'))
+  .onUnmount((el, state) => console.log('unmounted'))
   .onEvent('load', (el, state, event) => console.log(event))
   // Two forms
   .displayWhen((state => !!state), (el, state, isDisplayed) => console.log(isDisplayed))
@@ -110,6 +177,12 @@ fabricate.update({ counter: 1 })
 fabricate.update('foo', 'bar');
 fabricate.update('foo', state => state.counter);
 fabricate.update('updated', true);
+fabricate.update('settings.theme.dark', true);
+fabricate.computed('doubled', ['counter'], ({ counter }) => counter * 2);
+fabricate.batch(() => {
+  fabricate.update('counter', 2);
+  fabricate.update('updated', false);
+});
 
 fabricate.declare(
   'FooComponent',
@@ -121,8 +194,70 @@ fabricate('FooComponent', { label: 'foo' });
 
 fabricate.onKeyDown((state, key) => console.log(key));
 
+console.log(fabricate.renderToString(TestPage, initialState, { theme: options.theme }));
+console.log(fabricate.renderToString(TestPage, initialState, {
+  theme: 'dark',
+  themes: {
+    light: { palette: { primary: 'forestgreen' } },
+    dark: { palette: { primary: '#225522', surface: '#222' }, styles: { radius: '4px' } },
+  },
+}));
+fabricate('div').setStyles({ color: fabricate.themeVar('primary') });
+fabricate.setTheme('light');
+
+const spin = fabricate.keyframes({ '100%': { transform: 'rotate(360deg)' } });
+fabricate('div')
+  .addClass('card', {
+    opacity: 0.9,
+    ':hover': { opacity: 1 },
+    '@media (max-width: 1000px)': { padding: '4px' },
+  })
+  .addClass(fabricate.css({ animation: `${spin} 1s linear infinite` }));
+console.log(fabricate.getStyleSheet());
+
+fabricate.conditional((state) => state.updated, () => fabricate('div'), { transition: 'fade' });
+fabricate.conditional((state) => !state.updated, () => fabricate('div'), {
+  transition: { enter: 'scale', leave: { to: { opacity: 0 } }, durationMs: 300, easing: 'linear' },
+  transitionGroup: {},
+});
+fabricate('div').displayWhen((state) => state.updated, { transition: 'slide' });
+fabricate('div').displayWhen(
+  (state) => state.updated,
+  (el, state, isDisplayed) => console.log(isDisplayed),
+  { transition: { enter: spin } },
+);
+
+const { required, minLength, pattern, email } = fabricate.validators;
+const signupForm = fabricate.form({
+  stateKey: 'signup',
+  fields: { email: '', code: '', remember: false },
+  validators: {
+    email: [required(), email('Bad email')],
+    code: [minLength(4), pattern(/^\d+$/), async (value) => (value === '0000' ? 'Taken' : null)],
+  },
+  onSubmit: async (values, state) => console.log(values.email, state.counter),
+});
+signupForm.setChildren([
+  fabricate('TextInput').bind('counter'),
+  fabricate('input').setAttributes({ type: 'checkbox' }).bind('updated'),
+]);
+signupForm.submitForm().then((isValid) => console.log(isValid));
+signupForm.resetForm();
+
+fabricate('Row')
+  .setResponsiveStyles({ mobile: { flexDirection: 'column' }, desktop: { maxWidth: '1200px' } })
+  .onUpdate((el, state, keys) => console.log(keys), ['fabricate:viewport']);
+const hydrated = fabricate.hydrate(TestPage, initialState, { container: document.body, debug: true });
+hydrated.run(() => fabricate.update({ counter: 1 }));
+console.log(hydrated.getState().counter, hydrated.root);
+hydrated.unmount();
+
 fabricate.buildKey('test', 'prop', 'more', 'more');
 
 console.log(fabricate.StateKeys);
 fabricate('div')
   .onUpdate(() => {}, [fabricate.StateKeys.Init]);
+
+const devtools = installDevtools({ shortcut: 'F4' });
+devtools.toggle();
+devtools.uninstall();
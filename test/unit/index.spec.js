@@ -5,8 +5,10 @@ const browserEnv = require('browser-env');
 
 browserEnv({ url: 'http://localhost' });
 
+const { execFileSync } = require('child_process');
 const { expect } = require('chai');
 const { fabricate, _fabricate, fab } = require('../../fabricate');
+const { installDevtools } = require('../../devtools');
 const { hasStyles, hasAttributes, mockIsNarrow } = require('../util');
 
 describe('fabricate.js', () => {
@@ -252,6 +254,65 @@ describe('fabricate.js', () => {
 
       expect(createdCount).to.equal(1);
     });
+
+    it('should set keyed children', () => {
+      const items = [{ id: 1, label: 'a' }, { id: 2, label: 'b' }, { id: 3, label: 'c' }];
+      const el = fabricate('div')
+        .setKeyedChildren(items, ({ id }) => id, ({ label }) => fabricate('span').setText(label));
+
+      expect(el.childElementCount).to.equal(3);
+      expect(el.children[2].innerText).to.equal('c');
+    });
+
+    it('should reuse keyed children and only destroy those removed', () => {
+      let builtCount = 0;
+      const destroyed = [];
+      const Row = ({ id }) => {
+        builtCount += 1;
+        return fabricate('span').onDestroy(() => destroyed.push(id));
+      };
+
+      const [a, b, c] = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+      const el = fabricate('div').setKeyedChildren([a, b, c], ({ id }) => id, Row);
+      const [rowA, , rowC] = el.children;
+
+      // Remove b, move c to the front, add d
+      el.setKeyedChildren([c, a, { id: 'd' }], ({ id }) => id, Row);
+
+      expect(builtCount).to.equal(4);
+      expect(destroyed).to.deep.equal(['b']);
+      expect(el.children[0]).to.equal(rowC);
+      expect(el.children[1]).to.equal(rowA);
+      expect(el.childElementCount).to.equal(3);
+    });
+
+    it('should rebuild keyed children when their item changes', () => {
+      const destroyed = [];
+      const Row = ({ id }) => fabricate('span').onDestroy(() => destroyed.push(id));
+
+      const el = fabricate('div').setKeyedChildren([{ id: 'a' }, { id: 'b' }], ({ id }) => id, Row);
+      const [rowA] = el.children;
+
+      el.setKeyedChildren([{ id: 'a', done: true }, el.keyedRows.get('b').item], ({ id }) => id, Row);
+
+      expect(destroyed).to.deep.equal(['a']);
+      expect(el.children[0]).to.not.equal(rowA);
+    });
+
+    it('should throw for duplicate keyed children', () => {
+      expect(() => fabricate('div').setKeyedChildren([1, 1], (p) => p, () => fabricate('div')))
+        .to.throw('Duplicate key 1 in setKeyedChildren');
+
+      // Nothing is built or removed first
+      let built = 0;
+      const el = fabricate('div').setChildren([fabricate('p')]);
+      expect(() => el.setKeyedChildren([1, 2, 1], (p) => p, () => {
+        built += 1;
+        return fabricate('div');
+      })).to.throw('Duplicate key 1 in setKeyedChildren');
+      expect(built).to.equal(0);
+      expect(el.firstElementChild.tagName).to.equal('P');
+    });
   });
 
   describe('Component behaviours', () => {
@@ -382,6 +443,126 @@ describe('fabricate.js', () => {
       fabricate.update({ visible: false });
       expect(wasVisible).to.equal(false);
     });
+
+    it('should run onMount once the element is in the page with observeLifecycle', () => {
+      const events = [];
+      const Item = (name) => fabricate('span')
+        .onCreate((el) => events.push(`create ${name} ${el.isConnected}`))
+        .onMount((el) => events.push(`mount ${name} ${el.isConnected}`));
+      const { root: list } = fabricate.app(
+        () => fabricate('div').setChildren([Item('a')]),
+        {},
+        { observeLifecycle: true },
+      );
+
+      list.addChildren([Item('b')]);
+      fabricate.flushLifecycle();
+
+      expect(events).to.deep.equal([
+        'create a false',
+        'mount a true',
+        'create b false',
+        'mount b true',
+      ]);
+    });
+
+    it('should unmount and clean up elements removed by any means with observeLifecycle', () => {
+      const unmounted = [];
+      const Item = (name) => fabricate('span')
+        .onUpdate(() => {}, ['counter'])
+        .onUnmount(() => unmounted.push(name));
+      const { root: list } = fabricate.app(
+        () => fabricate('div').setChildren([Item('a'), Item('b'), Item('c')]),
+        { counter: 0 },
+        { observeLifecycle: true },
+      );
+      expect(_fabricate.stateWatchers).to.have.length(3);
+
+      list.firstElementChild.remove();
+      list.setHtml('<p>replaced</p>');
+      fabricate.flushLifecycle();
+
+      expect(unmounted).to.deep.equal(['a', 'b', 'c']);
+      expect(_fabricate.stateWatchers).to.deep.equal([]);
+    });
+
+    it('should not unmount elements moved within the app with observeLifecycle', () => {
+      let unmounted = false;
+      const item = fabricate('span').onUnmount(() => (unmounted = true));
+      const other = fabricate('div');
+      fabricate.app(() => fabricate('div').setChildren([item, other]), {}, { observeLifecycle: true });
+
+      other.appendChild(item);
+      fabricate.flushLifecycle();
+
+      expect(unmounted).to.equal(false);
+      expect(item.isMounted).to.equal(true);
+    });
+
+    it('should run lifecycle handlers from the MutationObserver', async () => {
+      let mounted = false;
+      const list = fabricate('div');
+      fabricate.app(() => list, {}, { observeLifecycle: true });
+
+      list.addChildren([fabricate('span').onMount(() => (mounted = true))]);
+      expect(mounted).to.equal(false);
+
+      await new Promise((resolve) => { setTimeout(resolve); });
+      expect(mounted).to.equal(true);
+    });
+
+    it('should unmount all elements when the app is unmounted with observeLifecycle', () => {
+      const unmounted = [];
+      const App = () => fabricate('div')
+        .onUnmount(() => unmounted.push('root'))
+        .setChildren([fabricate('span').onUnmount(() => unmounted.push('child'))]);
+      const app = fabricate.app(App, {}, { observeLifecycle: true });
+
+      app.unmount();
+
+      expect(unmounted).to.deep.equal(['root', 'child']);
+    });
+
+    it('should destroy elements again each time they are removed', () => {
+      const destroyed = [];
+      const item = fabricate('span').onDestroy(() => destroyed.push('item'));
+      const list = fabricate('div');
+      fabricate.app(() => list, {});
+
+      list.setChildren([item]);
+      list.empty();
+      list.setChildren([item]);
+      list.empty();
+
+      expect(destroyed).to.deep.equal(['item', 'item']);
+    });
+
+    it('should destroy elements once each time they are removed with observeLifecycle', () => {
+      const destroyed = [];
+      const item = fabricate('span').onDestroy(() => destroyed.push('item'));
+      const list = fabricate('div');
+      fabricate.app(() => list, {}, { observeLifecycle: true });
+
+      list.setChildren([item]);
+      fabricate.flushLifecycle();
+      list.empty();
+      fabricate.flushLifecycle();
+      expect(destroyed).to.deep.equal(['item']);
+
+      list.setChildren([item]);
+      fabricate.flushLifecycle();
+      item.remove();
+      fabricate.flushLifecycle();
+      expect(destroyed).to.deep.equal(['item', 'item']);
+    });
+
+    it('should not run lifecycle handlers without observeLifecycle', () => {
+      let mounted = false;
+      fabricate.app(() => fabricate('div').onMount(() => (mounted = true)), {});
+
+      expect(mounted).to.equal(false);
+      expect(() => fabricate.flushLifecycle()).to.not.throw();
+    });
   });
 
   describe('App state', () => {
@@ -419,6 +600,142 @@ describe('fabricate.js', () => {
       expect(updatedKeys).to.deep.equal(['counter']);
     });
 
+    it('should notify once for a batch of updates', () => {
+      const notified = [];
+
+      const App = () => fabricate('div')
+        .onUpdate((el, state, keys) => notified.push(keys), ['counter', 'name']);
+
+      fabricate.app(App, { counter: 0, name: '' });
+
+      fabricate.batch(() => {
+        fabricate.update('counter', 1);
+        fabricate.update({ name: 'foo' });
+        fabricate.update('counter', ({ counter }) => counter + 1);
+
+        // Not yet notified
+        expect(notified).to.deep.equal([]);
+      });
+
+      expect(notified).to.deep.equal([['counter', 'name']]);
+      expect(_fabricate.state.counter).to.equal(2);
+    });
+
+    it('should notify only at the end of nested batches', () => {
+      let notifyCount = 0;
+
+      const App = () => fabricate('div')
+        .onUpdate(() => (notifyCount += 1), ['counter']);
+
+      fabricate.app(App, { counter: 0 });
+
+      fabricate.batch(() => {
+        fabricate.update('counter', 1);
+        fabricate.batch(() => fabricate.update('counter', 2));
+
+        expect(notifyCount).to.equal(0);
+      });
+
+      expect(notifyCount).to.equal(1);
+    });
+
+    it('should notify of updates made before a batch callback throws', () => {
+      const notified = [];
+      const App = () => fabricate('div')
+        .onUpdate((el, state, keys) => notified.push(keys), ['counter', 'name']);
+      fabricate.app(App, { counter: 0, name: '' });
+
+      expect(() => fabricate.batch(() => {
+        fabricate.update('counter', 1);
+        throw new Error('Failed');
+      })).to.throw('Failed');
+      fabricate.update('name', 'foo');
+
+      expect(notified).to.deep.equal([['counter'], ['name']]);
+    });
+
+    it('should throw if batch callback is not a function', () => {
+      expect(() => fabricate.batch()).to.throw('batch requires a callback function');
+    });
+
+    it('should coalesce updates in the same tick with batchUpdates', async () => {
+      const notified = [];
+      let saveCount = 0;
+      const { savePersistState } = _fabricate;
+      _fabricate.savePersistState = () => (saveCount += 1);
+
+      const App = () => fabricate('div')
+        .onUpdate((el, state, keys) => notified.push(keys), ['counter', 'name']);
+
+      fabricate.app(App, { counter: 0, name: '' }, { batchUpdates: true, persistState: ['counter'] });
+      saveCount = 0;
+
+      fabricate.update('counter', 1);
+      fabricate.update('name', 'foo');
+      expect(notified).to.deep.equal([]);
+
+      await Promise.resolve();
+      _fabricate.savePersistState = savePersistState;
+
+      expect(notified).to.deep.equal([['counter', 'name']]);
+      expect(saveCount).to.equal(1);
+    });
+
+    it('should provide computed state keys', () => {
+      let seen;
+
+      const App = () => {
+        fabricate.computed('total', ['a', 'b'], ({ a, b }) => a + b);
+
+        return fabricate('div')
+          .onUpdate((el, { total }, keys) => (seen = { total, keys }), ['total']);
+      };
+
+      fabricate.app(App, { a: 1, b: 2, other: 0 });
+      expect(_fabricate.state.total).to.equal(3);
+
+      fabricate.update('a', 10);
+      expect(seen).to.deep.equal({ total: 12, keys: ['a', 'total'] });
+    });
+
+    it('should only recompute computed keys when dependencies change', () => {
+      let computeCount = 0;
+
+      fabricate.app(() => fabricate('div'), { a: 1, other: 0 });
+      fabricate.computed('double', ['a'], ({ a }) => {
+        computeCount += 1;
+        return a * 2;
+      });
+      fabricate.computed('quadruple', ['double'], ({ double }) => double * 2);
+
+      fabricate.update('other', 1);
+      expect(computeCount).to.equal(1);
+
+      fabricate.update('a', 2);
+      expect(computeCount).to.equal(2);
+      expect(_fabricate.state.quadruple).to.equal(8);
+    });
+
+    it('should not allow updating computed state keys', () => {
+      fabricate.app(() => fabricate('div'), { a: 1 });
+      fabricate.computed('double', ['a'], ({ a }) => a * 2);
+
+      expect(() => fabricate.update('double', 4))
+        .to.throw('Cannot update computed state key double - update its dependencies instead');
+      expect(() => fabricate.update({ double: 4 }))
+        .to.throw('Cannot update computed state key double - update its dependencies instead');
+    });
+
+    it('should validate computed state keys', () => {
+      fabricate.app(() => fabricate('div'), { a: 1 });
+
+      expect(() => fabricate.computed('a', ['a'], () => 1)).to.throw('State key a already exists');
+      expect(() => fabricate.computed('b', [], () => 1)).to.throw('computed requires a list of deps');
+      expect(() => fabricate.computed('b', ['c'], () => 1))
+        .to.throw('Unknown state key c - do you need to use buildKey()?');
+      expect(() => fabricate.computed('b', ['a'])).to.throw('computed requires a function');
+    });
+
     it('should throw if state update key not specified', () => {
       expect(() => fabricate.update(undefined, () => false))
         .to.throw('No update data provided');
@@ -448,6 +765,421 @@ describe('fabricate.js', () => {
 
       expect(_fabricate.state.counter).to.equal(23);
     });
+
+    it('should undo and redo updates of keys in history', () => {
+      const notified = [];
+      const App = () => fabricate('div')
+        .onUpdate((el, state, keys) => notified.push(keys), ['text']);
+      fabricate.app(App, { text: 'a', other: 0 }, { history: ['text'] });
+
+      fabricate.update('text', 'b');
+      fabricate.update('other', 1);
+      fabricate.update({ text: 'c' });
+
+      fabricate.undo();
+      expect(_fabricate.state.text).to.equal('b');
+      fabricate.undo();
+      expect(_fabricate.state.text).to.equal('a');
+      expect(_fabricate.state.other).to.equal(1);
+      expect(fabricate.canUndo()).to.equal(false);
+
+      fabricate.redo();
+      expect(_fabricate.state.text).to.equal('b');
+      expect(fabricate.canRedo()).to.equal(true);
+      expect(notified.slice(-3)).to.deep.equal([['text'], ['text'], ['text']]);
+    });
+
+    it('should forget redo steps after a new update', () => {
+      fabricate.app(() => fabricate('div'), { text: 'a' }, { history: ['text'] });
+
+      fabricate.update('text', 'b');
+      fabricate.undo();
+      fabricate.update('text', 'c');
+
+      expect(fabricate.canRedo()).to.equal(false);
+    });
+
+    it('should undo a transaction as one step', () => {
+      fabricate.app(() => fabricate('div'), { a: 0, b: 0 }, { history: ['a', 'b'] });
+
+      fabricate.transaction(() => {
+        fabricate.update('a', 1);
+        fabricate.update('b', 1);
+        fabricate.transaction(() => fabricate.update('a', 2));
+      });
+      fabricate.undo();
+
+      expect(_fabricate.state).to.deep.equal({ a: 0, b: 0 });
+      expect(fabricate.canUndo()).to.equal(false);
+    });
+
+    it('should end a transaction if its callback throws', () => {
+      fabricate.app(() => fabricate('div'), { a: 0, b: 0 }, { history: ['a', 'b'] });
+
+      expect(() => fabricate.transaction(() => {
+        fabricate.update('a', 1);
+        throw new Error('Failed');
+      })).to.throw('Failed');
+      fabricate.update('b', 1);
+      fabricate.undo();
+
+      expect(_fabricate.state).to.deep.equal({ a: 1, b: 0 });
+      fabricate.undo();
+      expect(_fabricate.state).to.deep.equal({ a: 0, b: 0 });
+      expect(fabricate.canUndo()).to.equal(false);
+    });
+
+    it('should limit undo history', () => {
+      fabricate.app(() => fabricate('div'), { counter: 0 }, { history: ['counter'], historyLimit: 2 });
+
+      [1, 2, 3].forEach((p) => fabricate.update('counter', p));
+      fabricate.undo();
+      fabricate.undo();
+
+      expect(_fabricate.state.counter).to.equal(1);
+      expect(fabricate.canUndo()).to.equal(false);
+    });
+
+    it('should throw if undo is used without history', () => {
+      fabricate.app(() => fabricate('div'), {});
+
+      expect(() => fabricate.undo()).to.throw('No undo history - are you using the history option?');
+      expect(() => fabricate.redo()).to.throw('No undo history - are you using the history option?');
+      expect(() => fabricate.transaction()).to.throw('transaction requires a callback function');
+    });
+
+    it('should record state updates as JSON', () => {
+      const App = () => fabricate.router({ '/': () => fabricate('div'), '/edit': () => fabricate('div') });
+      fabricate.app(App, { text: 'a' });
+
+      fabricate.startRecording();
+      fabricate.update('text', 'b');
+      fabricate.navigate('/edit');
+      const recording = JSON.parse(fabricate.stopRecording());
+      fabricate.update('text', 'c');
+
+      expect(recording.initialState).to.deep.equal({
+        text: 'a', 'fabricate:route': '/', 'fabricate:routeParams': {},
+      });
+      expect(recording.updates.map(({ keys, values, route }) => ({ keys, values, route })))
+        .to.deep.equal([
+          { keys: ['text'], values: { text: 'b' }, route: '/' },
+          {
+            keys: ['fabricate:route', 'fabricate:routeParams'],
+            values: { 'fabricate:route': '/edit', 'fabricate:routeParams': {} },
+            route: '/edit',
+          },
+        ]);
+      expect(recording.updates[0].timestamp).to.be.a('number');
+    });
+
+    it('should replay a recording in a new app', () => {
+      const App = () => fabricate.router({
+        '/': () => fabricate('div').setAttributes({ id: 'home' }),
+        '/edit': () => fabricate('div').setAttributes({ id: 'edit' }),
+      });
+      fabricate.app(App, { text: 'a' });
+      fabricate.startRecording();
+      fabricate.update('text', 'b');
+      fabricate.navigate('/edit');
+      const recording = fabricate.stopRecording();
+
+      _fabricate.clearState();
+      document.body.innerHTML = '';
+      let text;
+      const Replay = () => fabricate('div')
+        .onUpdate((el, state) => text = state.text, ['text'])
+        .setChildren([App()]);
+      fabricate.app(Replay, { text: '' });
+      fabricate.loadRecording(recording);
+
+      expect(text).to.equal('a');
+      expect(fabricate.stepForward()).to.equal(1);
+      expect(text).to.equal('b');
+      expect(fabricate.stepForward()).to.equal(2);
+      expect(document.getElementById('edit')).to.not.equal(null);
+      expect(fabricate.getRoute()).to.equal('/edit');
+      expect(fabricate.stepForward()).to.equal(2);
+
+      expect(fabricate.stepBack()).to.equal(1);
+      expect(document.getElementById('home')).to.not.equal(null);
+      expect(fabricate.stepBack()).to.equal(0);
+      expect(text).to.equal('a');
+    });
+
+    it('should replay updates to key paths', () => {
+      const App = () => fabricate('div');
+      fabricate.app(App, { settings: { theme: { dark: false }, size: 1 } });
+      fabricate.startRecording();
+      fabricate.update('settings.theme.dark', true);
+      fabricate.update('settings.size', 2);
+      const recording = fabricate.stopRecording();
+
+      _fabricate.clearState();
+      document.body.innerHTML = '';
+      let settings;
+      const Replay = () => fabricate('div')
+        .onUpdate((el, state) => settings = state.settings, ['settings']);
+      fabricate.app(Replay, { settings: {} });
+      fabricate.loadRecording(recording);
+
+      fabricate.stepForward();
+      expect(settings).to.deep.equal({ theme: { dark: true }, size: 1 });
+      fabricate.stepForward();
+      expect(settings).to.deep.equal({ theme: { dark: true }, size: 2 });
+      expect(Object.keys(_fabricate.state)).to.not.include('settings.theme.dark');
+      expect(fabricate.stepBack()).to.equal(1);
+      expect(settings).to.deep.equal({ theme: { dark: true }, size: 1 });
+    });
+
+    it('should validate recordings', () => {
+      fabricate.app(() => fabricate('div'), {});
+
+      expect(() => fabricate.stopRecording()).to.throw('No recording - are you using startRecording()?');
+      expect(() => fabricate.stepForward()).to.throw('No recording loaded - are you using loadRecording()?');
+      expect(() => fabricate.loadRecording('{}')).to.throw('Invalid recording - use one from stopRecording()');
+    });
+
+    it('should allow plugins to transform updates', () => {
+      fabricate.use({
+        beforeUpdate: (keys, next, prev) => (keys.includes('name') ? { ...next, name: `${prev.name}${next.name}` } : undefined),
+      });
+      fabricate.app(() => fabricate('div'), { name: 'a', other: 0 });
+
+      fabricate.update('name', 'b');
+      fabricate.update({ other: 1 });
+
+      expect(_fabricate.state).to.deep.equal({ name: 'ab', other: 1 });
+    });
+
+    it('should allow plugins to veto updates', () => {
+      let notified = false;
+      const App = () => fabricate('div').onUpdate(() => notified = true, ['counter']);
+      fabricate.use({ beforeUpdate: (keys, { counter }) => counter >= 0 });
+      fabricate.app(App, { counter: 0 });
+
+      fabricate.update('counter', -1);
+
+      expect(_fabricate.state.counter).to.equal(0);
+      expect(notified).to.equal(false);
+    });
+
+    it('should notify plugins after updates, app start, and navigation', () => {
+      const calls = [];
+      const remove = fabricate.use({
+        name: 'analytics',
+        onAppStart: (state) => calls.push(['start', state.counter]),
+        onNavigate: (from, to) => calls.push(['navigate', from, to]),
+        afterUpdate: (keys, state) => calls.push(['update', keys, state.counter]),
+      });
+      const App = () => fabricate.router({ '/': () => fabricate('div'), '/next': () => fabricate('div') });
+      fabricate.app(App, { counter: 0 });
+
+      fabricate.update('counter', 1);
+      fabricate.navigate('/next');
+      remove();
+      fabricate.update('counter', 2);
+
+      expect(calls).to.deep.equal([
+        ['update', ['fabricate:route', 'fabricate:routeParams'], 0],
+        ['navigate', undefined, '/'],
+        ['start', 0],
+        ['update', ['fabricate:init'], 0],
+        ['update', ['counter'], 1],
+        ['update', ['fabricate:route', 'fabricate:routeParams'], 1],
+        ['navigate', '/', '/next'],
+      ]);
+    });
+
+    it('should check updates against the state schema', () => {
+      const { types } = fabricate;
+      const schema = {
+        counter: 'number',
+        mode: types.enum(['light', 'dark']),
+        tags: types.array(types.string),
+        user: types.nullable(types.object({ name: types.string, age: types.number })),
+      };
+      fabricate.app(() => fabricate('div'), {
+        counter: 0, mode: 'light', tags: [], user: null, other: 0,
+      }, { schema });
+
+      fabricate.update({ counter: 1, tags: ['a'], user: { name: 'Bob', age: 30 } });
+      fabricate.update('other', 'anything');
+
+      expect(() => fabricate.update('counter', '2'))
+        .to.throw('State key counter expected number, received "2"');
+      expect(() => fabricate.update('mode', 'blue'))
+        .to.throw('State key mode expected one of ["light","dark"], received "blue"');
+      expect(() => fabricate.update('tags', ['a', 3]))
+        .to.throw('State key tags[1] expected string, received 3');
+      expect(() => fabricate.update('user', { name: 'Bob' }))
+        .to.throw('State key user.age expected number, received undefined');
+      expect(_fabricate.state.counter).to.equal(1);
+    });
+
+    it('should check the initial state against the state schema', () => {
+      expect(() => fabricate.app(() => fabricate('div'), { counter: 'zero' }, { schema: { counter: 'number' } }))
+        .to.throw('State key counter expected number, received "zero"');
+    });
+
+    it('should match dynamic state keys by pattern in the state schema', () => {
+      const schema = { 'userProfile:*': fabricate.types.nullable(fabricate.types.object()) };
+      fabricate.app(() => fabricate('div'), {}, { schema });
+
+      const key = fabricate.buildKey('userProfile', '42');
+      fabricate.update(key, { name: 'Alice' });
+
+      expect(() => fabricate.update(key, 'Alice'))
+        .to.throw('State key userProfile:42 expected object or null, received "Alice"');
+    });
+
+    it('should update nested values by key path', () => {
+      const settings = { theme: { dark: false, accent: 'blue' }, fontSize: 12 };
+      fabricate.app(() => fabricate('div'), { settings, todos: [{ done: false }, { done: false }] });
+
+      fabricate.update('settings.theme.dark', true);
+      fabricate.update({ 'todos.1.done': true, 'settings.fontSize': 14 });
+
+      const { state } = _fabricate;
+      expect(state.settings).to.deep.equal({ theme: { dark: true, accent: 'blue' }, fontSize: 14 });
+      expect(state.todos).to.deep.equal([{ done: false }, { done: true }]);
+      expect(settings.theme.dark).to.equal(false);
+      expect(() => fabricate.update('profile.name', 'Bob'))
+        .to.throw('Unknown state key profile.name - do you need to use buildKey()?');
+      expect(() => fabricate.update('settings.fontSize.px', 1))
+        .to.throw('Cannot update settings.fontSize.px - 14 is not an object');
+    });
+
+    it('should notify only watchers of affected key paths', () => {
+      const calls = [];
+      const watchKeys = ['settings', 'settings.theme', 'settings.fontSize', 'todos.*.done'];
+      const App = () => fabricate('div')
+        .setChildren(watchKeys.map((key) => fabricate('div').onUpdate(() => calls.push(key), [key])));
+      fabricate.app(App, {
+        settings: { theme: { dark: false }, fontSize: 12 },
+        todos: [{ done: false }],
+      });
+
+      fabricate.update('settings.theme.dark', true);
+      expect(calls).to.deep.equal(['settings', 'settings.theme']);
+
+      calls.length = 0;
+      fabricate.update('settings', { theme: { dark: true }, fontSize: 14 });
+      expect(calls).to.deep.equal(['settings', 'settings.theme', 'settings.fontSize']);
+
+      calls.length = 0;
+      fabricate.update('todos.0.done', true);
+      expect(calls).to.deep.equal(['todos.*.done']);
+    });
+
+    it('should share one state copy between watchers of an update', () => {
+      const copies = [];
+      const Watcher = () => fabricate('div').onUpdate((el, state) => copies.push(state), ['counter']);
+      fabricate.app(() => fabricate('div').setChildren([Watcher(), Watcher()]), { counter: 0 });
+
+      fabricate.update('counter', 1);
+
+      expect(copies).to.have.length(2);
+      expect(copies[0]).to.equal(copies[1]);
+      expect(copies[0]).to.not.equal(_fabricate.state);
+    });
+
+    it('should notify selectors only when the selected value changes', () => {
+      const calls = [];
+      const App = () => fabricate('div')
+        .onSelect(
+          ({ todos }) => todos.filter((p) => p.done).map((p) => p.id),
+          (el, doneIds) => calls.push(doneIds),
+        );
+      fabricate.app(App, { todos: [{ id: 1, done: false }, { id: 2, done: false }], counter: 0 });
+
+      fabricate.update('counter', 1);
+      fabricate.update('todos.0.done', true);
+      fabricate.update('todos.1.id', 2);
+      fabricate.update('todos.1.done', true);
+
+      expect(calls).to.deep.equal([[], [1], [1, 2]]);
+    });
+
+    it('should compare values shallowly', () => {
+      expect(_fabricate.isShallowEqual(1, 1)).to.equal(true);
+      expect(_fabricate.isShallowEqual([1, 'a'], [1, 'a'])).to.equal(true);
+      expect(_fabricate.isShallowEqual({ a: 1, b: 2 }, { b: 2, a: 1 })).to.equal(true);
+      expect(_fabricate.isShallowEqual({ a: {} }, { a: {} })).to.equal(false);
+      expect(_fabricate.isShallowEqual([1], [1, 2])).to.equal(false);
+      expect(_fabricate.isShallowEqual([], {})).to.equal(false);
+      expect(_fabricate.isShallowEqual(null, {})).to.equal(false);
+    });
+
+    it('should skip updates of unchanged values with skipUnchangedUpdates', () => {
+      const updates = [];
+      const App = () => fabricate('div')
+        .onUpdate((el, state, keys) => updates.push(keys), ['counter', 'name']);
+      fabricate.app(App, { counter: 0, name: 'a' }, { skipUnchangedUpdates: true });
+
+      fabricate.update('counter', 0);
+      fabricate.update({ counter: 1, name: 'a' });
+      fabricate.update('name', 'a');
+
+      expect(updates).to.deep.equal([['counter']]);
+      expect(_fabricate.state.counter).to.equal(1);
+    });
+
+    it('should index state watchers by the keys they watch', () => {
+      const App = () => fabricate('div')
+        .setChildren([
+          fabricate('div').onUpdate(() => {}, ['counter']),
+          fabricate('div').onUpdate(() => {}, ['counter', 'settings.theme']),
+          fabricate('div').onSelect(({ counter }) => counter, () => {}),
+        ]);
+      fabricate.app(App, { counter: 0, settings: {}, other: 0 });
+
+      const { byKey, wildcard } = _fabricate.watcherRegistry;
+      expect(byKey.get('counter').size).to.equal(2);
+      expect(byKey.get('settings').size).to.equal(1);
+      expect(wildcard.size).to.equal(1);
+      expect(_fabricate.getKeyWatchers(['other'])).to.have.length(1);
+      expect(_fabricate.getKeyWatchers(['settings.theme.dark', 'counter']))
+        .to.deep.equal(_fabricate.stateWatchers);
+    });
+
+    it('should remove destroyed watchers from the index', () => {
+      const Row = () => fabricate('div').onUpdate(() => {}, ['counter']);
+      const App = () => fabricate('div').setChildren([Row(), Row(), Row()]);
+      fabricate.app(App, { counter: 0 });
+      expect(_fabricate.stateWatchers).to.have.length(3);
+
+      document.body.firstElementChild.empty();
+
+      const { byKey, byEl } = _fabricate.watcherRegistry;
+      expect(_fabricate.stateWatchers).to.deep.equal([]);
+      expect(byKey.size).to.equal(0);
+      expect(byEl.size).to.equal(0);
+    });
+
+    it('should not notify watchers removed while notifying an update', () => {
+      const calls = [];
+      const Row = () => fabricate('div').onUpdate(() => calls.push('row'), ['counter']);
+      const App = () => fabricate('div')
+        .onUpdate((el) => {
+          calls.push('list');
+          el.setChildren([Row()]);
+        }, ['counter'])
+        .setChildren([Row()]);
+      fabricate.app(App, { counter: 0 });
+
+      fabricate.update('counter', 1);
+      fabricate.update('counter', 2);
+
+      // Rows added by the first update are watched after the list, which removes them
+      expect(calls).to.deep.equal(['row', 'list', 'list']);
+    });
+
+    it('should validate plugins', () => {
+      expect(() => fabricate.use()).to.throw('Plugin must be an object');
+      expect(() => fabricate.use({ beforeUpdated: () => {} })).to.throw('Unknown plugin hook beforeUpdated');
+      expect(() => fabricate.use({ afterUpdate: true })).to.throw('Plugin hook afterUpdate must be a function');
+    });
   });
 
   describe('Helpers', () => {
@@ -488,6 +1220,71 @@ describe('fabricate.js', () => {
       expect(document.body.childElementCount).to.equal(1);
     });
 
+    it('should allow creation of root app element in a container', () => {
+      const container = fabricate('div');
+      document.body.appendChild(container);
+
+      const { root } = fabricate.app(() => fabricate('span'), {}, { container });
+
+      expect(root.parentElement).to.equal(container);
+      expect(document.body.childElementCount).to.equal(1);
+    });
+
+    it('should allow independent app instances', () => {
+      const Counter = () => fabricate('button')
+        .onUpdate((el, { count }) => el.setText(count), ['fabricate:init', 'count'])
+        .onClick((el, { count }) => fabricate.update({ count: count + 1 }));
+
+      const first = fabricate.app(Counter, { count: 0 });
+      const second = fabricate.app(Counter, { count: 10 });
+      second.root.click();
+      fabricate.update('count', 5);
+
+      expect(first.getState().count).to.equal(5);
+      expect(first.root.innerText).to.equal(5);
+      expect(second.getState().count).to.equal(11);
+      expect(second.root.innerText).to.equal(11);
+    });
+
+    it('should allow running fabricate functions in an app instance', () => {
+      fabricate.app(() => fabricate('div'), { count: 0 });
+      const other = fabricate.app(() => fabricate('div'), { count: 0 });
+
+      other.run(() => fabricate.update('count', 3));
+
+      expect(_fabricate.state.count).to.equal(0);
+      expect(other.getState().count).to.equal(3);
+    });
+
+    it('should unmount an app instance', () => {
+      let destroyed = false;
+      const App = () => fabricate('div')
+        .setChildren([
+          fabricate('p')
+            .onUpdate(() => {}, ['count'])
+            .onDestroy(() => destroyed = true),
+        ]);
+
+      const first = fabricate.app(() => fabricate('div'), { count: 0 });
+      const second = fabricate.app(App, { count: 0 });
+      second.unmount();
+
+      expect(destroyed).to.equal(true);
+      expect(document.body.childElementCount).to.equal(1);
+      expect(second.getState()).to.deep.equal({});
+      expect(first.getState().count).to.equal(0);
+    });
+
+    it('should use the next app started as default after unmounting the default', () => {
+      const first = fabricate.app(() => fabricate('div'), { count: 0 });
+      first.unmount();
+      const second = fabricate.app(() => fabricate('div'), { count: 0 });
+
+      fabricate.update('count', 2);
+
+      expect(second.getState().count).to.equal(2);
+    });
+
     it('should allow declaring a component for re-use with props', () => {
       const styles = { color: 'red' };
 
@@ -546,15 +1343,40 @@ describe('fabricate.js', () => {
       expect(_fabricate.state[key]).to.equal(true);
     });
 
-    it('should allow use of router', () => {
-      const App = () => fabricate.router({ '/': () => fabricate('div') });
+    it('should render a keyed list from state', () => {
+      let builtCount = 0;
+      const Row = ({ label }) => {
+        builtCount += 1;
+        return fabricate('span').setText(label);
+      };
 
-      fabricate.app(App);
+      let list;
+      const App = () => {
+        list = fabricate.list('items', ({ id }) => id, Row);
+        return list;
+      };
+      fabricate.app(App, { items: [{ id: 1, label: 'first' }] });
 
-      expect(_fabricate.routeHistory).to.deep.equal(['/']);
+      fabricate.update('items', ({ items }) => [...items, { id: 2, label: 'second' }]);
+
+      expect(list.childElementCount).to.equal(2);
+      expect(list.children[1].innerText).to.equal('second');
+      expect(builtCount).to.equal(2);
     });
 
-    it('should use asyncReplace option', (done) => {
+    it('should throw for list with no stateKey', () => {
+      expect(() => fabricate.list()).to.throw('list requires a stateKey string');
+    });
+
+    it('should allow use of router', () => {
+      const App = () => fabricate.router({ '/': () => fabricate('div') });
+
+      fabricate.app(App);
+
+      expect(_fabricate.routeHistory).to.deep.equal(['/']);
+    });
+
+    it('should use asyncReplace option', (done) => {
       let waiting;
 
       const App = () => fabricate.router({
@@ -587,7 +1409,9 @@ describe('fabricate.js', () => {
 
     it('should throw for bad router object', () => {
       expect(() => fabricate.router({ '/': fabricate('div'), foo: 'bar' }))
-        .to.throw('Every route in router must be builder function');
+        .to.throw('Every route in router must be builder function or route object');
+      expect(() => fabricate.router({ '/': { load: () => {} } }))
+        .to.throw('Every route in router must be builder function or route object');
       expect(() => fabricate.router()).to.throw('Must provide initial route /');
     });
 
@@ -625,6 +1449,383 @@ describe('fabricate.js', () => {
       expect(() => fabricate.navigate('/foo')).to.throw('Unknown route: /foo');
     });
 
+    it('should route with params', () => {
+      let seenParams;
+
+      const UserPage = () => fabricate('div')
+        .onUpdate((el, state) => {
+          seenParams = state[fabricate.StateKeys.RouteParams];
+        }, [fabricate.StateKeys.Created, fabricate.StateKeys.RouteParams]);
+
+      const App = () => fabricate.router({
+        '/': () => fabricate('div'),
+        '/users/:id/posts/:postId': UserPage,
+      });
+
+      fabricate.app(App);
+      fabricate.navigate('/users/12/posts/a%20b');
+
+      expect(seenParams).to.deep.equal({ id: '12', postId: 'a b' });
+      expect(fabricate.getRoute()).to.equal('/users/12/posts/a%20b');
+    });
+
+    it('should use not found route for unknown routes', () => {
+      let notFound;
+
+      const App = () => fabricate.router({
+        '/': () => fabricate('div'),
+        '/users/:id': () => fabricate('div'),
+        '*': () => fabricate('div').onCreate(() => (notFound = true)),
+      });
+
+      fabricate.app(App);
+
+      expect(() => fabricate.navigate('/users')).to.not.throw();
+      expect(notFound).to.equal(true);
+    });
+
+    it('should sync route with browser path', () => {
+      window.history.replaceState({}, '', '/users/5');
+
+      const App = () => fabricate.router({
+        '/': () => fabricate('div'),
+        '/users/:id': () => fabricate('div'),
+      }, { mode: 'path' });
+
+      fabricate.app(App);
+
+      // Initial route is taken from the URL
+      expect(fabricate.getRoute()).to.equal('/users/5');
+      expect(_fabricate.state[fabricate.StateKeys.RouteParams]).to.deep.equal({ id: '5' });
+
+      fabricate.navigate('/');
+      expect(window.location.pathname).to.equal('/');
+
+      // Browser went back
+      window.history.replaceState({}, '', '/users/6');
+      window.dispatchEvent(new window.PopStateEvent('popstate'));
+
+      expect(fabricate.getRouteHistory()).to.deep.equal(['/users/5', '/', '/users/6']);
+    });
+
+    it('should go back in route history when the browser goes back', () => {
+      window.history.replaceState({}, '', '/');
+
+      const App = () => fabricate.router({
+        '/': () => fabricate('div'),
+        '/a': () => fabricate('div'),
+        '/b': () => fabricate('div'),
+      }, { mode: 'path' });
+
+      fabricate.app(App);
+      fabricate.navigate('/a');
+      fabricate.navigate('/b');
+      fabricate.navigate('/a');
+      expect(window.history.state).to.deep.equal({ route: '/a', position: 3 });
+
+      /**
+       * Move to a browser history entry, as the browser would.
+       *
+       * @param {string} route - Route of the entry.
+       * @param {number} position - Position of the entry in the route history.
+       */
+      const popState = (route, position) => {
+        window.history.replaceState({ route, position }, '', route);
+        window.dispatchEvent(new window.PopStateEvent('popstate', { state: { route, position } }));
+      };
+
+      // Back
+      popState('/b', 2);
+      expect(fabricate.getRouteHistory()).to.deep.equal(['/', '/a', '/b']);
+
+      // Forward to a route that is also the one before
+      popState('/a', 3);
+      expect(fabricate.getRouteHistory()).to.deep.equal(['/', '/a', '/b', '/a']);
+
+      // Back more than one
+      popState('/', 0);
+      expect(fabricate.getRouteHistory()).to.deep.equal(['/']);
+      expect(fabricate.getRoute()).to.equal('/');
+    });
+
+    it('should sync route with browser hash', () => {
+      window.history.replaceState({}, '', '/');
+
+      const App = () => fabricate.router({
+        '/': () => fabricate('div'),
+        '/test': () => fabricate('div'),
+      }, { mode: 'hash' });
+
+      fabricate.app(App);
+      fabricate.navigate('/test');
+
+      expect(window.location.hash).to.equal('#/test');
+    });
+
+    it('should cancel navigation with a route guard', () => {
+      let guardArgs;
+
+      const App = () => fabricate.router({
+        '/': () => fabricate('div'),
+        '/admin': {
+          beforeEnter: (state, from, to) => {
+            guardArgs = [from, to];
+            return state.isAdmin;
+          },
+          builder: () => fabricate('div'),
+        },
+      });
+
+      fabricate.app(App, { isAdmin: false });
+      fabricate.navigate('/admin');
+
+      expect(guardArgs).to.deep.equal(['/', '/admin']);
+      expect(fabricate.getRouteHistory()).to.deep.equal(['/']);
+
+      fabricate.update('isAdmin', true);
+      fabricate.navigate('/admin');
+      expect(fabricate.getRoute()).to.equal('/admin');
+    });
+
+    it('should run guards of / when the initial route is cancelled', () => {
+      window.history.replaceState({}, '', '/admin');
+
+      const App = (isLoggedIn) => () => fabricate.router({
+        '/': { beforeEnter: () => (isLoggedIn ? true : '/login'), builder: () => fabricate('div') },
+        '/login': { beforeEnter: () => !isLoggedIn, builder: () => fabricate('div') },
+        '/admin': { beforeEnter: () => false, builder: () => fabricate('div') },
+      }, { mode: 'path' });
+
+      fabricate.app(App(false));
+      expect(fabricate.getRouteHistory()).to.deep.equal(['/login']);
+      expect(window.location.pathname).to.equal('/login');
+
+      _fabricate.clearState();
+      window.history.replaceState({}, '', '/login');
+      fabricate.app(App(true));
+      expect(fabricate.getRouteHistory()).to.deep.equal(['/']);
+    });
+
+    it('should throw if guards cancel the initial route and /', () => {
+      const App = () => fabricate.router({
+        '/': { beforeEnter: () => false, builder: () => fabricate('div') },
+      });
+
+      expect(() => fabricate.app(App)).to.throw('Route guards cancelled the initial route and /');
+    });
+
+    it('should redirect navigation with a route guard', () => {
+      const App = () => fabricate.router({
+        '/': () => fabricate('div'),
+        '/login': () => fabricate('div'),
+        '/admin': {
+          beforeEnter: () => '/login',
+          builder: () => fabricate('div'),
+        },
+      });
+
+      fabricate.app(App);
+      fabricate.navigate('/admin');
+
+      expect(fabricate.getRouteHistory()).to.deep.equal(['/', '/login']);
+    });
+
+    it('should throw for route guard redirect loops', () => {
+      const App = () => fabricate.router({
+        '/': () => fabricate('div'),
+        '/a': { beforeEnter: () => '/b', builder: () => fabricate('div') },
+        '/b': { beforeEnter: () => '/a', builder: () => fabricate('div') },
+      });
+
+      fabricate.app(App);
+
+      expect(() => fabricate.navigate('/a')).to.throw('Too many route guard redirects from / to');
+    });
+
+    it('should load route data before building the page', async () => {
+      let loadArgs;
+      let built;
+
+      const App = () => fabricate.router({
+        '/': () => fabricate('div'),
+        '/users/:id': {
+          load: (state, params) => {
+            loadArgs = [state.name, params];
+            return Promise.resolve({ name: 'Alice' });
+          },
+          builder: (user) => {
+            built = fabricate('div').setText(user.name);
+            return built;
+          },
+        },
+      }, {
+        pendingBuilder: () => fabricate('span').setText('Loading'),
+      });
+
+      let wrapper;
+      fabricate.app(() => {
+        wrapper = App();
+        return wrapper;
+      }, { name: 'app' });
+      fabricate.navigate('/users/3');
+
+      const page = wrapper.children[1].firstElementChild;
+      expect(page.firstElementChild.innerText).to.equal('Loading');
+
+      await new Promise((resolve) => {
+        setTimeout(resolve, 10);
+      });
+
+      expect(loadArgs).to.deep.equal(['app', { id: '3' }]);
+      expect(page.firstElementChild).to.equal(built);
+      expect(built.innerText).to.equal('Alice');
+    });
+
+    it('should build the page again when route params change', async () => {
+      const loaded = [];
+      const App = () => fabricate.router({
+        '/': () => fabricate('div'),
+        '/users/:id': {
+          load: (state, { id }) => {
+            loaded.push(id);
+            return Promise.resolve(id);
+          },
+          builder: (id) => fabricate('div').setText(`User ${id}`),
+        },
+      });
+
+      let wrapper;
+      fabricate.app(() => {
+        wrapper = App();
+        return wrapper;
+      });
+      fabricate.navigate('/users/1');
+      const page = wrapper.children[1];
+      await new Promise((resolve) => {
+        setTimeout(resolve, 10);
+      });
+      expect(page.firstElementChild.firstElementChild.innerText).to.equal('User 1');
+
+      fabricate.navigate('/users/2');
+      await new Promise((resolve) => {
+        setTimeout(resolve, 10);
+      });
+
+      expect(loaded).to.deep.equal(['1', '2']);
+      expect(page.children.length).to.equal(1);
+      expect(page.firstElementChild.firstElementChild.innerText).to.equal('User 2');
+    });
+
+    it('should show an error page if route data fails to load', async () => {
+      const App = () => fabricate.router({
+        '/': () => fabricate('div'),
+        '/broken': {
+          load: () => Promise.reject(new Error('Failed to load')),
+          builder: () => fabricate('div'),
+        },
+      }, {
+        pendingBuilder: () => fabricate('span'),
+        errorBuilder: (err) => fabricate('p').setText(err.message),
+      });
+
+      let wrapper;
+      fabricate.app(() => {
+        wrapper = App();
+        return wrapper;
+      });
+      fabricate.navigate('/broken');
+
+      await new Promise((resolve) => {
+        setTimeout(resolve, 10);
+      });
+
+      const page = wrapper.children[1].firstElementChild;
+      expect(page.firstElementChild.tagName).to.equal('P');
+      expect(page.firstElementChild.innerText).to.equal('Failed to load');
+    });
+
+    it('should show child routes in a layout outlet', () => {
+      let layoutCount = 0;
+      let outlet;
+
+      const SettingsLayout = () => {
+        layoutCount += 1;
+        outlet = fabricate.outlet();
+        return fabricate('Row').setChildren([fabricate('nav'), outlet]);
+      };
+
+      const App = () => fabricate.router({
+        '/': () => fabricate('div'),
+        '/settings': {
+          builder: SettingsLayout,
+          children: {
+            '/': () => fabricate('h1'),
+            '/profile': () => fabricate('h2'),
+            '/billing/:id': () => fabricate('h3'),
+          },
+        },
+      });
+
+      fabricate.app(App);
+
+      /**
+       * Get the visible child route page.
+       *
+       * @returns {HTMLElement} Child route page.
+       */
+      const getChildPage = () => Array.from(outlet.children)
+        .map((p) => p.firstElementChild)
+        .find((p) => !!p);
+
+      fabricate.navigate('/settings');
+      expect(getChildPage().tagName).to.equal('H1');
+
+      fabricate.navigate('/settings/profile');
+      expect(getChildPage().tagName).to.equal('H2');
+
+      fabricate.navigate('/settings/billing/4');
+      expect(getChildPage().tagName).to.equal('H3');
+      expect(_fabricate.state[fabricate.StateKeys.RouteParams]).to.deep.equal({ id: '4' });
+
+      // Layout is kept between child routes
+      expect(layoutCount).to.equal(1);
+    });
+
+    it('should run parent route guards for child routes', () => {
+      const App = () => fabricate.router({
+        '/': () => fabricate('div'),
+        '/settings': {
+          beforeEnter: () => false,
+          builder: () => fabricate('div').setChildren([fabricate.outlet()]),
+          children: {
+            '/profile': () => fabricate('div'),
+          },
+        },
+      });
+
+      fabricate.app(App);
+      fabricate.navigate('/settings/profile');
+
+      expect(fabricate.getRoute()).to.equal('/');
+    });
+
+    it('should throw if outlet is not used in a route with children', () => {
+      expect(() => fabricate.outlet())
+        .to.throw('outlet() must be used while building a route with children');
+    });
+
+    it('should throw for invalid child routes', () => {
+      expect(() => fabricate.router({
+        '/': () => fabricate('div'),
+        '/settings': { builder: () => fabricate('div'), children: { profile: () => {} } },
+      })).to.throw('Every route in router must be builder function or route object');
+    });
+
+    it('should throw for invalid router mode', () => {
+      expect(() => fabricate.router({ '/': () => fabricate('div') }, { mode: 'foo' }))
+        .to.throw('mode option must be one of memory, path, hash');
+    });
+
     it('should go back in route history', () => {
       const App = () => fabricate.router({
         '/': () => fabricate('div'),
@@ -784,8 +1985,6 @@ describe('fabricate.js', () => {
         const styles = {
           minWidth: '80px',
           height: '20px',
-          color: 'white',
-          backgroundColor: 'rgb(68, 68, 68)',
           borderRadius: '5px',
           padding: '8px 10px',
           margin: '5px',
@@ -797,6 +1996,10 @@ describe('fabricate.js', () => {
         };
 
         expect(hasStyles(el, styles)).to.equal(true);
+
+        // jsdom drops var() values, so theme colors are checked when rendered
+        expect(fabricate.renderToString(() => fabricate('Button')))
+          .to.contain('color:var(--fabricate-onSecondary, white);background-color:var(--fabricate-secondary, #444)');
       });
 
       it('should provide Button with custom props', () => {
@@ -831,8 +2034,6 @@ describe('fabricate.js', () => {
         const styles = {
           minWidth: '80px',
           height: '20px',
-          color: 'white',
-          backgroundColor: 'rgb(68, 68, 68)',
           borderRadius: '5px',
           padding: '8px 10px',
           margin: '5px',
@@ -841,17 +2042,12 @@ describe('fabricate.js', () => {
           textAlign: 'center',
           cursor: 'pointer',
           userSelect: 'none',
-          filter: 'brightness(1.2)',
         };
 
-        // Hover
-        el.dispatchEvent(new CustomEvent('mouseenter'));
-        expect(hasStyles(el, styles)).to.equal(true);
-
-        // End hover
-        el.dispatchEvent(new CustomEvent('mouseleave'));
-        styles.filter = 'brightness(1)';
         expect(hasStyles(el, styles)).to.equal(true);
+        expect(el.className).to.match(/^fab-/);
+        expect(document.getElementById('fabricate-styles').textContent)
+          .to.contain(`.${el.className}:hover{filter:brightness(1.2)}`);
       });
 
       it('should provide Button with no highlight behavior', () => {
@@ -859,8 +2055,6 @@ describe('fabricate.js', () => {
         const styles = {
           minWidth: '80px',
           height: '20px',
-          color: 'white',
-          backgroundColor: 'rgb(68, 68, 68)',
           borderRadius: '5px',
           padding: '8px 10px',
           margin: '5px',
@@ -869,11 +2063,10 @@ describe('fabricate.js', () => {
           textAlign: 'center',
           cursor: 'pointer',
           userSelect: 'none',
-          filter: 'brightness(1)',
         };
 
-        el.dispatchEvent(new CustomEvent('mouseenter'));
         expect(hasStyles(el, styles)).to.equal(true);
+        expect(el.className).to.equal('');
       });
     });
 
@@ -884,7 +2077,6 @@ describe('fabricate.js', () => {
         const navbarStyles = {
           padding: '10px 20px',
           height: '40px',
-          backgroundColor: 'forestgreen',
           alignItems: 'center',
         };
 
@@ -893,7 +2085,6 @@ describe('fabricate.js', () => {
         // Children
         const title = navbar.childNodes[0];
         const titleStyles = {
-          color: 'white',
           fontWeight: 'bold',
           fontSize: '1.2rem',
           cursor: 'default',
@@ -901,6 +2092,10 @@ describe('fabricate.js', () => {
 
         expect(hasStyles(title, titleStyles)).to.equal(true);
         expect(title.innerText).to.equal('NavBar Title');
+
+        const html = fabricate.renderToString(() => fabricate('NavBar'));
+        expect(html).to.contain('background-color:var(--fabricate-primary, forestgreen)');
+        expect(html).to.contain('<h1 style="color:var(--fabricate-onPrimary, white)');
       });
 
       it('should provide NavBar with custom props', () => {
@@ -948,9 +2143,6 @@ describe('fabricate.js', () => {
       it('should provide TextInput with default props', () => {
         const el = fabricate('TextInput');
         const styles = {
-          border: '1px solid white',
-          color: 'black',
-          backgroundColor: 'rgb(245, 245, 245)',
           borderRadius: '5px',
           padding: '7px 9px',
           fontSize: '1.1rem',
@@ -963,6 +2155,8 @@ describe('fabricate.js', () => {
 
         expect(hasStyles(el, styles)).to.equal(true);
         expect(hasAttributes(el, attrbutes)).to.equal(true);
+        expect(fabricate.renderToString(() => fabricate('TextInput')))
+          .to.contain('border:1px solid var(--fabricate-surface, white);color:var(--fabricate-onInput, black);background-color:var(--fabricate-input, #f5f5f5)');
       });
 
       it('should provide TextInput with custom props', () => {
@@ -972,7 +2166,6 @@ describe('fabricate.js', () => {
           backgroundColor: 'red',
         });
         const styles = {
-          border: '1px solid white',
           color: 'white',
           backgroundColor: 'red',
           borderRadius: '5px',
@@ -991,6 +2184,9 @@ describe('fabricate.js', () => {
     });
 
     describe('Loader', () => {
+      // Identical keyframes share the Loader's generated name
+      const spin = fabricate.keyframes({ '100%': { transform: 'rotate(360deg)' } });
+
       it('should provide Loader with default props', () => {
         // Parent
         const loader = fabricate('Loader');
@@ -1008,7 +2204,7 @@ describe('fabricate.js', () => {
         const canvasStyles = {
           width: '48px',
           height: '48px',
-          animation: 'spin 0.7s linear infinite',
+          animation: `${spin} 0.7s linear infinite`,
         };
 
         expect(hasStyles(canvas, canvasStyles)).to.equal(true);
@@ -1035,7 +2231,7 @@ describe('fabricate.js', () => {
         const canvasStyles = {
           width: '128px',
           height: '128px',
-          animation: 'spin 0.7s linear infinite',
+          animation: `${spin} 0.7s linear infinite`,
         };
 
         expect(hasStyles(canvas, canvasStyles)).to.equal(true);
@@ -1094,8 +2290,6 @@ describe('fabricate.js', () => {
         const styles = {
           display: 'flex',
           flexDirection: 'column',
-          color: 'white',
-          backgroundColor: 'rgb(102, 102, 102)',
           justifyContent: 'center',
           borderRadius: '20px',
           padding: '7px 8px 5px 8px',
@@ -1105,6 +2299,8 @@ describe('fabricate.js', () => {
 
         expect(hasStyles(el, styles)).to.equal(true);
         expect(el.innerText).to.equal('Pill');
+        expect(fabricate.renderToString(() => fabricate('Pill')))
+          .to.contain('color:var(--fabricate-onMuted, white);background-color:var(--fabricate-muted, #666)');
       });
 
       it('should provide Pill with custom props', () => {
@@ -1135,24 +2331,17 @@ describe('fabricate.js', () => {
         const styles = {
           display: 'flex',
           flexDirection: 'column',
-          color: 'white',
-          backgroundColor: 'rgb(102, 102, 102)',
           justifyContent: 'center',
           borderRadius: '20px',
           padding: '7px 8px 5px 8px',
           margin: '5px',
           cursor: 'pointer',
-          filter: 'brightness(1.2)',
         };
 
-        // Hover
-        el.dispatchEvent(new CustomEvent('mouseenter'));
-        expect(hasStyles(el, styles)).to.equal(true);
-
-        // End hover
-        el.dispatchEvent(new CustomEvent('mouseleave'));
-        styles.filter = 'brightness(1)';
         expect(hasStyles(el, styles)).to.equal(true);
+        expect(el.className).to.match(/^fab-/);
+        expect(document.getElementById('fabricate-styles').textContent)
+          .to.contain(`.${el.className}:hover{filter:brightness(1.2)}`);
       });
 
       it('should provide Pill with no highlight behavior', () => {
@@ -1160,18 +2349,15 @@ describe('fabricate.js', () => {
         const styles = {
           display: 'flex',
           flexDirection: 'column',
-          color: 'white',
-          backgroundColor: 'rgb(102, 102, 102)',
           justifyContent: 'center',
           borderRadius: '20px',
           padding: '7px 8px 5px 8px',
           margin: '5px',
           cursor: 'pointer',
-          filter: 'brightness(1)',
         };
 
-        el.dispatchEvent(new CustomEvent('mouseenter'));
         expect(hasStyles(el, styles)).to.equal(true);
+        expect(el.className).to.equal('');
       });
     });
 
@@ -1234,12 +2420,16 @@ describe('fabricate.js', () => {
         });
 
         const tabBar = tabs.childNodes[0];
-
         const styles = {
-          color: 'white',
-          backgroundColor: 'rgb(102, 102, 102)',
+          padding: '8px 12px',
+          cursor: 'pointer',
         };
         expect(hasStyles(tabBar.childNodes[0], styles)).to.equal(true);
+
+        const html = fabricate.renderToString(() => fabricate('Tabs', {
+          tabs: { Home: () => fabricate('Text') },
+        }));
+        expect(html).to.contain('color:var(--fabricate-onMuted, white);background-color:var(--fabricate-muted, #666)">Home</div>');
       });
 
       it('should navigate Tabs', () => {
@@ -1324,12 +2514,18 @@ describe('fabricate.js', () => {
         const el = fabricate('HorizontalProgress', { stateKey: 'progress' });
         const styles = {
           height: '8px',
-          backgroundColor: 'rgb(221, 221, 221)',
           borderRadius: '4px',
           overflow: 'hidden',
         };
 
         expect(hasStyles(el, styles)).to.equal(true);
+
+        const html = fabricate.renderToString(
+          () => fabricate('HorizontalProgress', { stateKey: 'progress' }),
+          { progress: 0 },
+        );
+        expect(html).to.contain('height:8px;background-color:var(--fabricate-track, #ddd)');
+        expect(html).to.contain('height:100%;background-color:var(--fabricate-accent, red)');
       });
 
       it('should provide HorizontalProgress with custom props', () => {
@@ -1340,7 +2536,6 @@ describe('fabricate.js', () => {
         });
         const styles = {
           height: '16px',
-          backgroundColor: 'rgb(221, 221, 221)',
           borderRadius: '4px',
           overflow: 'hidden',
         };
@@ -1370,6 +2565,933 @@ describe('fabricate.js', () => {
     });
   });
 
+  describe('Themes', () => {
+    const themes = {
+      light: { palette: { primary: 'white', brand: 'gold' } },
+      dark: { palette: { primary: 'black' }, styles: { border: '1px solid grey' } },
+    };
+
+    it('should use theme colors by default in built-in components', () => {
+      const App = () => fabricate('Column')
+        .setChildren([
+          fabricate('Button'),
+          fabricate('NavBar'),
+          fabricate('TextInput'),
+          fabricate('Card'),
+          fabricate('Pill'),
+        ]);
+
+      const html = fabricate.renderToString(App);
+
+      expect(html).to.contain('color:var(--fabricate-onSecondary, white);background-color:var(--fabricate-secondary, #444)');
+      expect(html).to.contain('padding:10px 20px;height:40px;background-color:var(--fabricate-primary, forestgreen)');
+      expect(html).to.contain('border:1px solid var(--fabricate-surface, white);color:var(--fabricate-onInput, black)');
+      expect(html).to.contain('box-shadow:2px 2px 3px 1px var(--fabricate-shadow, #5555)');
+      expect(html).to.contain('color:var(--fabricate-onMuted, white);background-color:var(--fabricate-muted, #666)');
+    });
+
+    it('should get CSS values for theme colors', () => {
+      expect(fabricate.themeVar('primary')).to.equal('var(--fabricate-primary, forestgreen)');
+      expect(fabricate.themeVar('brand')).to.equal('var(--fabricate-brand)');
+    });
+
+    it('should set the theme palette as CSS custom properties on the app root', () => {
+      const App = () => fabricate('div').setStyles({ color: fabricate.themeVar('brand') });
+
+      expect(fabricate.renderToString(App, {}, { themes, theme: 'dark' }))
+        .to.equal('<div style="color:var(--fabricate-brand);--fabricate-primary:black"></div>');
+      expect(fabricate.renderToString(App, {}, { themes }))
+        .to.equal('<div style="color:var(--fabricate-brand);--fabricate-primary:white;--fabricate-brand:gold"></div>');
+    });
+
+    it('should switch themes in place with setTheme()', () => {
+      const seen = [];
+      const { root } = fabricate.app(
+        () => fabricate('div').onUpdate((el, state) => seen.push(state['fabricate:theme']), ['fabricate:theme']),
+        {},
+        { themes },
+      );
+      expect(_fabricate.state['fabricate:theme']).to.equal('light');
+
+      const changes = [];
+      root.style.setProperty = (name, value) => changes.push([name, value]);
+      root.style.removeProperty = (name) => changes.push([name]);
+      fabricate.setTheme('dark');
+
+      expect(changes).to.deep.equal([['--fabricate-brand'], ['--fabricate-primary', 'black']]);
+      expect(seen).to.deep.equal(['dark']);
+      expect(fabricate('div').setStyles(({ styles }) => styles).style.border).to.equal('1px solid grey');
+      expect(() => fabricate.setTheme('blue'))
+        .to.throw('Unknown theme blue - is it in the themes option?');
+    });
+
+    it('should draw Loader with theme colors', () => {
+      const { getContext } = HTMLCanvasElement.prototype;
+      const strokes = [];
+      HTMLCanvasElement.prototype.getContext = () => ({
+        beginPath: () => {},
+        arc: () => {},
+        stroke() {
+          strokes.push(this.strokeStyle);
+        },
+      });
+
+      try {
+        fabricate.app(() => fabricate('Loader'), {}, { themes: { light: { palette: { accent: 'blue' } }, dark: themes.dark } });
+        fabricate.setTheme('dark');
+      } finally {
+        HTMLCanvasElement.prototype.getContext = getContext;
+      }
+
+      expect(strokes).to.deep.equal(['#ddd', 'blue', '#ddd', 'red']);
+    });
+  });
+
+  describe('Stylesheets', () => {
+    const getSheetText = () => document.getElementById('fabricate-styles').textContent;
+
+    it('should generate a class with pseudo-selectors and nested rules', () => {
+      const name = fabricate.css({
+        color: 'navy',
+        fontSize: '1rem',
+        ':hover': { color: 'blue' },
+        '::placeholder': { color: 'grey' },
+        '&.active > p': { fontWeight: 'bold' },
+        span: { marginLeft: '4px' },
+      });
+
+      expect(name).to.match(/^fab-[0-9a-z]+$/);
+      expect(getSheetText()).to.contain(`.${name}{color:navy;font-size:1rem}`
+        + `.${name}:hover{color:blue}`
+        + `.${name}::placeholder{color:grey}`
+        + `.${name}.active > p{font-weight:bold}`
+        + `.${name} span{margin-left:4px}`);
+    });
+
+    it('should nest rules in media queries', () => {
+      const name = fabricate.css({
+        padding: '20px',
+        '@media (max-width: 1000px)': { padding: '5px', ':hover': { padding: '6px' } },
+      });
+
+      expect(getSheetText()).to.contain(`.${name}{padding:20px}`
+        + `@media (max-width: 1000px){.${name}{padding:5px}.${name}:hover{padding:6px}}`);
+    });
+
+    it('should generate keyframes', () => {
+      const name = fabricate.keyframes({ from: { opacity: 0 }, to: { opacity: 1 } });
+
+      expect(name).to.match(/^fab-kf-[0-9a-z]+$/);
+      expect(getSheetText()).to.contain(`@keyframes ${name}{from{opacity:0}to{opacity:1}}`);
+    });
+
+    it('should add identical styles only once', () => {
+      const styles = { borderTop: '3px dotted teal' };
+      const first = fabricate.css(styles);
+      const second = fabricate.css({ ...styles });
+
+      expect(second).to.equal(first);
+      expect(getSheetText().split(`.${first}{`).length).to.equal(2);
+      expect(fabricate.css({ borderTop: '4px dotted teal' })).to.not.equal(first);
+    });
+
+    it('should add classes with addClass()', () => {
+      const styles = { outline: '1px solid plum' };
+      const el = fabricate('div')
+        .setAttributes({ className: 'card' })
+        .addClass('selected', styles)
+        .addClass('selected');
+
+      expect(el.className).to.equal(`card selected ${fabricate.css(styles)}`);
+    });
+
+    it('should restore the stylesheet if removed from the page', () => {
+      const name = fabricate.css({ textIndent: '2px' });
+      document.getElementById('fabricate-styles').remove();
+      fabricate.css({ textIndent: '3px' });
+
+      expect(getSheetText()).to.contain(`.${name}{text-indent:2px}`);
+    });
+
+    it('should collect styles when rendering to string', () => {
+      const App = () => fabricate('div').addClass({ wordSpacing: '1px' });
+
+      const html = fabricate.renderToString(App);
+      const name = html.match(/class="(fab-[0-9a-z]+)"/)[1];
+
+      expect(fabricate.getStyleSheet()).to.contain(`.${name}{word-spacing:1px}`);
+    });
+
+    it('should throw if css() or keyframes() are not given objects', () => {
+      expect(() => fabricate.css('color: red')).to.throw('css requires a styles object');
+      expect(() => fabricate.keyframes([])).to.throw('keyframes requires an object of frames');
+    });
+  });
+
+  describe('Responsive styles', () => {
+    const { innerWidth } = window;
+
+    const resizeWindow = (width) => {
+      window.innerWidth = width;
+      window.dispatchEvent(new window.Event('resize'));
+    };
+
+    const waitForViewport = () => new Promise((resolve) => {
+      setTimeout(resolve, _fabricate.VIEWPORT_THROTTLE_MS + 20);
+    });
+
+    afterEach(() => {
+      window.innerWidth = innerWidth;
+    });
+
+    it('should apply styles for the breakpoint, and again when it changes', async () => {
+      window.innerWidth = 1200;
+      let el;
+      fabricate.app(() => {
+        el = fabricate('div')
+          .setStyles({ flexDirection: 'row', padding: '10px' })
+          .setResponsiveStyles({ narrow: { flexDirection: 'column' }, wide: { margin: '8px' } });
+        return el;
+      });
+      expect(hasStyles(el, { flexDirection: 'row', padding: '10px', margin: '8px' })).to.equal(true);
+
+      resizeWindow(600);
+      await waitForViewport();
+      expect(hasStyles(el, { flexDirection: 'column', padding: '10px', margin: '' })).to.equal(true);
+
+      resizeWindow(1400);
+      await waitForViewport();
+      expect(hasStyles(el, { flexDirection: 'row', margin: '8px' })).to.equal(true);
+    });
+
+    it('should throttle viewport state updates while resizing', async () => {
+      window.innerWidth = 1200;
+      const seen = [];
+      fabricate.app(() => fabricate('div')
+        .onUpdate((el, state) => seen.push(state['fabricate:viewport']), ['fabricate:viewport']));
+      expect(_fabricate.state['fabricate:viewport'])
+        .to.deep.equal({ width: 1200, height: window.innerHeight, breakpoint: 'wide' });
+
+      resizeWindow(1100);
+      resizeWindow(900);
+      resizeWindow(800);
+      await waitForViewport();
+      expect(seen).to.deep.equal([{ width: 800, height: window.innerHeight, breakpoint: 'narrow' }]);
+
+      // Same size again
+      resizeWindow(800);
+      await waitForViewport();
+      expect(seen.length).to.equal(1);
+    });
+
+    it('should use the breakpoints option', () => {
+      window.innerWidth = 700;
+      const breakpoints = { desktop: 1200, mobile: 0, tablet: 600 };
+      let el;
+      fabricate.app(() => {
+        el = fabricate('div')
+          .setResponsiveStyles({ mobile: { width: '100%' }, tablet: { width: '50%' } });
+        return el;
+      }, {}, { breakpoints });
+
+      expect(el.style.width).to.equal('50%');
+      expect(_fabricate.state['fabricate:viewport'].breakpoint).to.equal('tablet');
+      expect(() => fabricate('div').setResponsiveStyles({ narrow: {} }))
+        .to.throw('Unknown breakpoint narrow - is it in the breakpoints option?');
+    });
+
+    it('should not track the viewport until watched', () => {
+      fabricate.app(() => fabricate('div'));
+
+      expect(_fabricate.state['fabricate:viewport']).to.equal(undefined);
+      expect(_fabricate.viewportListener).to.equal(undefined);
+    });
+
+    it('should stop applying styles when destroyed, and on unmount', async () => {
+      window.innerWidth = 1200;
+      const el = fabricate('div').setResponsiveStyles({ narrow: { color: 'red' } });
+      const app = fabricate.app(() => fabricate('div').setChildren([el]));
+      const { viewportListener } = _fabricate;
+      expect(_fabricate.stateWatchers.length).to.equal(1);
+
+      el.parentElement.empty();
+      expect(_fabricate.stateWatchers.length).to.equal(0);
+
+      const removed = [];
+      const { removeEventListener } = window;
+      window.removeEventListener = (type, listener) => removed.push([type, listener]);
+      try {
+        app.unmount();
+      } finally {
+        window.removeEventListener = removeEventListener;
+      }
+      expect(removed).to.deep.equal([['resize', viewportListener]]);
+    });
+  });
+
+  describe('Transitions', () => {
+    const fade = fabricate.keyframes(_fabricate.TRANSITIONS.fade);
+
+    const endAnimation = (el) => el.dispatchEvent(new window.Event('animationend'));
+
+    it('should keep a conditional child until its leave animation ends', () => {
+      const destroyed = [];
+      let wrapper;
+      fabricate.app(() => {
+        wrapper = fabricate.conditional(
+          ({ visible }) => visible,
+          () => fabricate('div').onDestroy(() => destroyed.push('child')),
+          { transition: 'fade' },
+        );
+        return fabricate('div').setChildren([wrapper]);
+      }, { visible: true });
+
+      // Not animated on first render
+      const child = wrapper.firstElementChild;
+      expect(child.style.animation).to.equal('');
+
+      fabricate.update({ visible: false });
+      expect(wrapper.firstElementChild).to.equal(child);
+      expect(child.style.animation).to.equal(`${fade} 200ms ease reverse both`);
+      expect(destroyed).to.deep.equal([]);
+
+      endAnimation(child);
+      expect(wrapper.childElementCount).to.equal(0);
+      expect(destroyed).to.deep.equal(['child']);
+    });
+
+    it('should animate a conditional child entering', () => {
+      let wrapper;
+      fabricate.app(() => {
+        wrapper = fabricate.conditional(({ visible }) => visible, () => fabricate('div'), {
+          transition: { enter: 'slide', durationMs: 300, easing: 'linear' },
+        });
+        return fabricate('div').setChildren([wrapper]);
+      }, { visible: false });
+
+      fabricate.update({ visible: true });
+      const child = wrapper.firstElementChild;
+      const slide = fabricate.keyframes(_fabricate.TRANSITIONS.slide);
+      expect(child.style.animation).to.equal(`${slide} 300ms linear normal both`);
+
+      // No leave animation
+      endAnimation(child);
+      expect(child.style.animation).to.equal('');
+      fabricate.update({ visible: false });
+      expect(wrapper.childElementCount).to.equal(0);
+    });
+
+    it('should hide with displayWhen once the leave animation ends', () => {
+      const changes = [];
+      let el;
+      fabricate.app(() => {
+        el = fabricate('div').displayWhen(
+          ({ visible }) => visible,
+          (self, state, isDisplayed) => changes.push(isDisplayed),
+          { transition: { leave: { to: { opacity: 0 } } } },
+        );
+        return fabricate('div').setChildren([el]);
+      }, { visible: true });
+
+      fabricate.update({ visible: false });
+      expect(el.style.display).to.equal('');
+      expect(el.style.animation).to.contain('normal both');
+
+      endAnimation(el);
+      expect(el.style.display).to.equal('none');
+
+      // Options can be given without changeCb
+      const other = fabricate('div').displayWhen(() => true, { transition: 'scale' });
+      expect(other.style.display).to.equal('');
+      expect(changes).to.deep.equal([false]);
+    });
+
+    it('should show the next route page once the last has left', async () => {
+      let router;
+      fabricate.app(() => {
+        router = fabricate.router({
+          '/': () => fabricate('div').setText('home'),
+          '/next': () => fabricate('div').setText('next'),
+        }, { transition: 'fade' });
+        return router;
+      });
+      const [homeWrapper, nextWrapper] = router.childNodes;
+      const home = homeWrapper.firstElementChild;
+
+      fabricate.navigate('/next');
+      await Promise.resolve();
+      expect(homeWrapper.firstElementChild).to.equal(home);
+      expect(nextWrapper.childElementCount).to.equal(0);
+
+      endAnimation(home);
+      await new Promise((resolve) => {
+        setTimeout(resolve);
+      });
+      expect(homeWrapper.childElementCount).to.equal(0);
+      expect(nextWrapper.firstElementChild.innerText).to.equal('next');
+    });
+
+    it('should finish a transition if its animation does not end', async () => {
+      let wrapper;
+      fabricate.app(() => {
+        wrapper = fabricate.conditional(({ visible }) => visible, () => fabricate('div'), {
+          transition: { leave: 'fade', durationMs: 0 },
+        });
+        return fabricate('div').setChildren([wrapper]);
+      }, { visible: true });
+
+      fabricate.update({ visible: false });
+      expect(wrapper.childElementCount).to.equal(1);
+
+      await new Promise((resolve) => {
+        setTimeout(resolve, _fabricate.TRANSITION_END_MARGIN_MS + 20);
+      });
+      expect(wrapper.childElementCount).to.equal(0);
+    });
+
+    it('should throw for an invalid transition', () => {
+      const builder = () => fabricate('div');
+
+      expect(() => fabricate.conditional(() => true, builder, { transition: 'spin' }))
+        .to.throw('transition must be one of fade, slide, scale, or object with enter and/or leave');
+      expect(() => fabricate.conditional(() => true, builder, { transition: { durationMs: 10 } }))
+        .to.throw('transition must be one of fade, slide, scale, or object with enter and/or leave');
+      expect(() => fabricate('div').displayWhen(() => true, { transition: { enter: 'fade', durationMs: '1s' } }))
+        .to.throw('transition durationMs must be a number of milliseconds');
+      expect(() => fabricate.router({ '/': builder }, { transition: 5 }))
+        .to.throw('transition must be one of fade, slide, scale, or object with enter and/or leave');
+    });
+  });
+
+  describe('Forms', () => {
+    const {
+      required,
+      minLength,
+      pattern,
+      email,
+    } = fabricate.validators;
+
+    const typeValue = (el, value) => {
+      // eslint-disable-next-line no-param-reassign
+      el.value = value;
+      el.dispatchEvent(new window.Event('input'));
+    };
+
+    it('should bind an input to state both ways', () => {
+      let input;
+      fabricate.app(() => {
+        input = fabricate('TextInput').bind('user.name');
+        return fabricate('div').setChildren([input]);
+      }, { user: { name: 'Alice', age: 30 } });
+      expect(input.value).to.equal('Alice');
+
+      typeValue(input, 'Bob');
+      expect(_fabricate.state.user).to.deep.equal({ name: 'Bob', age: 30 });
+
+      fabricate.update('user.name', 'Carol');
+      expect(input.value).to.equal('Carol');
+    });
+
+    it('should bind checkboxes, number inputs, selects, and textareas', () => {
+      const options = [{ label: 'A', value: 'a' }, { label: 'B', value: 'b' }];
+      let checkbox;
+      let number;
+      let select;
+      let textarea;
+      fabricate.app(() => {
+        checkbox = fabricate('input').setAttributes({ type: 'checkbox' }).bind('done');
+        number = fabricate('input').setAttributes({ type: 'number' }).bind('count');
+        select = fabricate('Select', { options }).bind('choice');
+        textarea = fabricate('textarea').bind('notes');
+        return fabricate('div').setChildren([checkbox, number, select, textarea]);
+      }, {
+        done: true,
+        count: 2,
+        choice: 'b',
+        notes: null,
+      });
+      expect([checkbox.checked, number.value, select.value, textarea.value])
+        .to.deep.equal([true, '2', 'b', '']);
+
+      checkbox.checked = false;
+      checkbox.dispatchEvent(new window.Event('change'));
+      typeValue(number, '5');
+      select.value = 'a';
+      select.dispatchEvent(new window.Event('change'));
+      typeValue(textarea, 'Hello');
+
+      expect(_fabricate.state).to.deep.equal({
+        done: false,
+        count: 5,
+        choice: 'a',
+        notes: 'Hello',
+      });
+    });
+
+    it('should throw if bind() is used on another element', () => {
+      expect(() => fabricate('div').bind('name'))
+        .to.throw('bind() requires an input, select, or textarea element');
+      expect(() => fabricate('input').bind()).to.throw('bind requires a stateKey string');
+    });
+
+    it('should track values, dirty, touched, and errors of form fields', () => {
+      let emailInput;
+      fabricate.app(() => {
+        emailInput = fabricate('TextInput').bind('signup.values.email');
+        return fabricate.form({
+          stateKey: 'signup',
+          fields: { email: '', name: 'Anon' },
+          validators: { email: [required(), email()] },
+        }).setChildren([emailInput]);
+      });
+
+      expect(_fabricate.state.signup).to.deep.equal({
+        values: { email: '', name: 'Anon' },
+        touched: { email: false, name: false },
+        dirty: { email: false, name: false },
+        errors: { email: 'Required', name: null },
+        isValid: false,
+        isValidating: false,
+        isSubmitting: false,
+        submitCount: 0,
+      });
+
+      typeValue(emailInput, 'bob@');
+      emailInput.dispatchEvent(new window.Event('focusout', { bubbles: true }));
+      let { signup } = _fabricate.state;
+      expect(signup.errors.email).to.equal('Invalid email address');
+      expect(signup.dirty.email).to.equal(true);
+      expect(signup.touched).to.deep.equal({ email: true, name: false });
+
+      typeValue(emailInput, 'bob@example.com');
+      signup = _fabricate.state.signup;
+      expect(signup.errors.email).to.equal(null);
+      expect(signup.isValid).to.equal(true);
+    });
+
+    it('should submit only a valid form', async () => {
+      const submitted = [];
+      let form;
+      fabricate.app(() => {
+        form = fabricate.form({
+          stateKey: 'login',
+          fields: { user: '', password: '' },
+          validators: { user: [required()], password: [required(), minLength(8)] },
+          onSubmit: (values) => submitted.push(values),
+        });
+        return form;
+      });
+
+      expect(await form.submitForm()).to.equal(false);
+      expect(_fabricate.state.login.touched).to.deep.equal({ user: true, password: true });
+      expect(_fabricate.state.login.errors).to.deep.equal({ user: 'Required', password: 'Required' });
+      expect(submitted).to.deep.equal([]);
+
+      fabricate.update({ 'login.values.user': 'bob', 'login.values.password': 'secret' });
+      expect(_fabricate.state.login.errors.password).to.equal('Must be at least 8 characters');
+
+      fabricate.update('login.values.password', 'secret123');
+      expect(await form.submitForm()).to.equal(true);
+      expect(submitted).to.deep.equal([{ user: 'bob', password: 'secret123' }]);
+      expect(_fabricate.state.login.submitCount).to.equal(2);
+      expect(_fabricate.state.login.isSubmitting).to.equal(false);
+
+      form.resetForm();
+      expect(_fabricate.state.login.values).to.deep.equal({ user: '', password: '' });
+      expect(_fabricate.state.login.touched).to.deep.equal({ user: false, password: false });
+    });
+
+    it('should use async validators, ignoring older results', async () => {
+      const resolvers = [];
+      const isAvailable = (value) => new Promise((resolve) => {
+        resolvers.push(() => resolve(value === 'taken' ? 'Already taken' : null));
+      });
+      fabricate.app(() => fabricate.form({
+        stateKey: 'account',
+        fields: { username: 'taken' },
+        validators: { username: [required(), isAvailable] },
+      }));
+      expect(_fabricate.state.account.isValidating).to.equal(true);
+
+      fabricate.update('account.values.username', 'free');
+      resolvers[1]();
+      await new Promise((resolve) => {
+        setTimeout(resolve);
+      });
+      expect(_fabricate.state.account.errors.username).to.equal(null);
+      expect(_fabricate.state.account.isValidating).to.equal(false);
+
+      // The first result is too late
+      resolvers[0]();
+      await new Promise((resolve) => {
+        setTimeout(resolve);
+      });
+      expect(_fabricate.state.account.errors.username).to.equal(null);
+    });
+
+    it('should handle failed validators and submits', async () => {
+      const warnings = [];
+      const { warn } = console;
+      console.warn = (msg) => warnings.push(msg);
+      let form;
+      fabricate.app(() => {
+        form = fabricate.form({
+          stateKey: 'account',
+          fields: { username: 'bob' },
+          validators: {
+            username: [(value) => (value === 'bob' ? Promise.reject(new Error('Server error')) : null)],
+          },
+          onSubmit: () => {
+            throw new Error('Offline');
+          },
+        });
+        return form;
+      });
+
+      try {
+        await new Promise((resolve) => {
+          setTimeout(resolve);
+        });
+        expect(_fabricate.state.account.errors.username).to.equal('Server error');
+        expect(_fabricate.state.account.isValidating).to.equal(false);
+
+        // Submitting from the form doesn't leave a rejection unhandled
+        fabricate.update('account.values.username', 'alice');
+        form.dispatchEvent(new window.Event('submit'));
+        await new Promise((resolve) => {
+          setTimeout(resolve);
+        });
+        expect(warnings).to.deep.equal(['Failed to submit form account: Offline']);
+        expect(_fabricate.state.account.isSubmitting).to.equal(false);
+      } finally {
+        console.warn = warn;
+      }
+    });
+
+    it('should use the error of a validator that throws', () => {
+      let input;
+      fabricate.app(() => {
+        input = fabricate('TextInput').bind('account.values.username');
+        return fabricate.form({
+          stateKey: 'account',
+          fields: { username: 'bob' },
+          validators: {
+            username: [(value) => {
+              if (value === 'bad') throw new Error('Validator failed');
+              return null;
+            }],
+          },
+        }).setChildren([input]);
+      });
+
+      expect(() => typeValue(input, 'bad')).to.not.throw();
+      expect(_fabricate.state.account.errors.username).to.equal('Validator failed');
+      expect(_fabricate.state.account.isValid).to.equal(false);
+    });
+
+    it('should provide built-in validators', () => {
+      expect([required()(''), required('Missing')(' '), required()(false), required()(0)])
+        .to.deep.equal(['Required', 'Missing', 'Required', null]);
+      expect([minLength(3)('ab'), minLength(3)(''), minLength(3)('abc')])
+        .to.deep.equal(['Must be at least 3 characters', null, null]);
+      expect([pattern(/^\d+$/)('12a'), pattern(/^\d+$/, 'Digits only')('x'), pattern(/^\d+$/)('12')])
+        .to.deep.equal(['Invalid format', 'Digits only', null]);
+      expect([email()('a@b.co'), email()('a@b')]).to.deep.equal([null, 'Invalid email address']);
+    });
+
+    it('should throw for an invalid form config', () => {
+      expect(() => fabricate.form({ fields: {} })).to.throw('form requires a stateKey string');
+      expect(() => fabricate.form({ stateKey: 'f' })).to.throw('form requires a fields object');
+      expect(() => fabricate.form({ stateKey: 'f', fields: {}, validators: { a: [] } }))
+        .to.throw('form validators field a is not in fields');
+      expect(() => fabricate.form({ stateKey: 'f', fields: { a: '' }, validators: { a: required() } }))
+        .to.throw('form validators for a must be an array of functions');
+      expect(() => fabricate.form({ stateKey: 'f', fields: {}, onSubmit: true }))
+        .to.throw('form onSubmit must be a function');
+    });
+  });
+
+  describe('Server rendering', () => {
+    it('should render to string with styles and attributes', () => {
+      const App = () => fabricate('Column')
+        .setStyles({ padding: '10px', backgroundColor: 'red' })
+        .setChildren([
+          fabricate('h1').setText('Hello <world>'),
+          fabricate('img').setAttributes({ src: '/logo.png', className: 'logo' }),
+          fabricate('div').setHtml('<b>bold</b>'),
+        ])
+        .onClick(() => {});
+
+      const html = fabricate.renderToString(App);
+
+      expect(html).to.equal('<div style="display:flex;flex-direction:column;padding:10px;background-color:red">'
+        + '<h1>Hello &lt;world&gt;</h1>'
+        + '<img src="/logo.png" class="logo">'
+        + '<div><b>bold</b></div>'
+        + '</div>');
+    });
+
+    it('should render initial state when rendering to string', () => {
+      const App = () => fabricate('div')
+        .setChildren([
+          fabricate('p').onUpdate((el, { name }) => el.setText(name), ['fabricate:init']),
+          fabricate('p').onUpdate((el, { count }) => el.setText(count), ['fabricate:created']),
+          fabricate.conditional(({ count }) => count > 1, () => fabricate('span')),
+        ]);
+
+      const html = fabricate.renderToString(App, { name: 'foo', count: 2 });
+
+      expect(html).to.equal('<div><p>foo</p><p>2</p><div><span></span></div></div>');
+    });
+
+    it('should not leave state or watchers after rendering to string', () => {
+      fabricate.renderToString(() => fabricate('div').onUpdate(() => {}, ['count']), { count: 0 });
+
+      expect(_fabricate.state).to.deep.equal({});
+      expect(_fabricate.stateWatchers).to.deep.equal([]);
+    });
+
+    it('should use the theme when rendering to string', () => {
+      const App = () => fabricate('div').setStyles(({ palette }) => ({ color: palette.primary }));
+      const theme = { palette: { primary: 'gold' } };
+
+      expect(fabricate.renderToString(App, {}, { theme })).to.equal('<div style="color:gold;--fabricate-primary:gold"></div>');
+    });
+
+    it('should render built-in components to string', () => {
+      const App = () => fabricate('Column')
+        .setChildren([
+          fabricate('Loader'),
+          fabricate('Select', { options: [{ label: 'Apple', value: 'apple' }] }),
+        ]);
+
+      const html = fabricate.renderToString(App);
+
+      expect(html).to.contain('<canvas width="48" height="48"');
+      expect(html).to.contain('<option value="apple">Apple</option>');
+    });
+
+    it('should render to string without a browser', () => {
+      const script = `
+        const { fabricate } = require('./fabricate');
+        const App = () => fabricate('Text').setText('Hello');
+        process.stdout.write(fabricate.renderToString(App));
+      `;
+      const output = execFileSync(process.execPath, ['-e', script], { cwd: `${__dirname}/../..` });
+
+      expect(output.toString()).to.equal('<p style="font-size:1rem;margin:5px">Hello</p>');
+    });
+
+    it('should throw if render root is not builder function', () => {
+      expect(() => fabricate.renderToString('foo')).to.throw('App root must be a builder function');
+    });
+  });
+
+  describe('Hydration', () => {
+    const App = () => fabricate('Column')
+      .setChildren([
+        fabricate('p').onUpdate((el, { count }) => el.setText(count), ['fabricate:init', 'count']),
+        fabricate('button')
+          .setText('Add')
+          .onClick((el, { count }) => fabricate.update({ count: count + 1 })),
+      ]);
+
+    it('should use existing elements instead of creating new ones', () => {
+      document.body.innerHTML = fabricate.renderToString(App, { count: 0 });
+      const existing = document.body.firstElementChild;
+
+      const { root } = fabricate.hydrate(App, { count: 0 });
+
+      expect(root).to.equal(existing);
+      expect(document.body.childElementCount).to.equal(1);
+      expect(typeof root.setChildren).to.equal('function');
+    });
+
+    it('should attach event listeners and state watchers to existing elements', () => {
+      document.body.innerHTML = fabricate.renderToString(App, { count: 0 });
+      const [text, button] = document.body.firstElementChild.children;
+
+      fabricate.hydrate(App, { count: 0 });
+      button.click();
+
+      expect(_fabricate.state.count).to.equal(1);
+      expect(text.innerText).to.equal(1);
+    });
+
+    it('should hydrate inside a given container', () => {
+      const container = fabricate('div').setHtml(fabricate.renderToString(App, { count: 3 }));
+      document.body.appendChild(container);
+
+      const { root } = fabricate.hydrate(App, { count: 3 }, { container });
+
+      expect(root.parentElement).to.equal(container);
+      expect(container.childElementCount).to.equal(1);
+    });
+
+    it('should replace mismatched elements and report them in debug mode', () => {
+      document.body.innerHTML = '<div><span></span><p></p><p></p></div>';
+      const warnings = [];
+      const { warn } = console;
+      console.warn = (msg) => warnings.push(msg);
+
+      try {
+        fabricate.hydrate(App, { count: 0 }, { debug: true });
+      } finally {
+        console.warn = warn;
+      }
+
+      const [text, button] = document.body.firstElementChild.children;
+      expect(text.tagName).to.equal('P');
+      expect(button.tagName).to.equal('BUTTON');
+      expect(document.body.firstElementChild.childElementCount).to.equal(2);
+      expect(warnings).to.deep.equal([
+        'debug: hydration mismatch in p: expected <p>, found <span>',
+        'debug: hydration mismatch in button: expected <button>, found <p>',
+        'debug: hydration mismatch in Column: unexpected child <p>',
+      ]);
+    });
+
+    it('should correct and report mismatched attributes and text', () => {
+      document.body.innerHTML = '<div><p title="old">Old</p><canvas></canvas></div>';
+      const canvas = fabricate('canvas');
+      const TextApp = () => fabricate('div')
+        .setChildren([
+          fabricate('p').setAttributes({ title: 'new' }).setHtml('New'),
+          canvas,
+        ]);
+      const warnings = [];
+      const { warn } = console;
+      console.warn = (msg) => warnings.push(msg);
+
+      try {
+        fabricate.hydrate(TextApp, {}, { debug: true });
+      } finally {
+        console.warn = warn;
+      }
+
+      const [text, existingCanvas] = document.body.firstElementChild.children;
+      expect(text.getAttribute('title')).to.equal('new');
+      expect(text.textContent).to.equal('New');
+      expect(existingCanvas).to.equal(canvas);
+      expect(warnings).to.deep.equal([
+        'debug: hydration mismatch in p: expected title="new", found "old"',
+        'debug: hydration mismatch in p: expected text "New", found "Old"',
+      ]);
+    });
+
+    it('should correct mismatched attributes and text silently without debug', () => {
+      document.body.innerHTML = '<div><p title="old">Old</p></div>';
+      const TextApp = () => fabricate('div')
+        .setChildren([fabricate('p').setAttributes({ title: 'new' }).setHtml('New')]);
+      const warnings = [];
+      const { warn } = console;
+      console.warn = (msg) => warnings.push(msg);
+
+      try {
+        fabricate.hydrate(TextApp);
+      } finally {
+        console.warn = warn;
+      }
+
+      const [text] = document.body.firstElementChild.children;
+      expect(text.getAttribute('title')).to.equal('new');
+      expect(text.textContent).to.equal('New');
+      expect(warnings).to.deep.equal([]);
+    });
+
+    it('should use the stylesheet rendered by the server', () => {
+      const StyledApp = () => fabricate('div')
+        .addClass({ color: 'navy', ':hover': { color: 'blue' } });
+      const html = fabricate.renderToString(StyledApp);
+      document.head.innerHTML = `<style id="fabricate-styles">${fabricate.getStyleSheet()}</style>`;
+      document.body.innerHTML = html;
+      const sheet = document.getElementById('fabricate-styles');
+      const ruleCount = sheet.sheet.cssRules.length;
+
+      fabricate.hydrate(StyledApp);
+
+      expect(document.querySelectorAll('style').length).to.equal(1);
+      expect(sheet.sheet.cssRules.length).to.equal(ruleCount);
+    });
+
+    it('should throw if hydrate root is not builder function', () => {
+      expect(() => fabricate.hydrate('foo')).to.throw('App root must be a builder function');
+    });
+  });
+
+  describe('Devtools', () => {
+    let devtools;
+
+    afterEach(() => devtools.uninstall());
+
+    const App = () => fabricate('Column')
+      .setChildren([
+        fabricate('Text').onUpdate((el, { count }) => el.setText(count), ['fabricate:init', 'count']),
+        fabricate('Text').onUpdate((el, { name }) => el.setText(name), ['fabricate:init', 'count']),
+      ]);
+
+    it('should show and hide the panel with a shortcut key', () => {
+      devtools = installDevtools({ shortcut: 'F4' });
+      const panel = document.getElementById('fabricate-devtools');
+
+      expect(panel.style.display).to.equal('none');
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'F4' }));
+      expect(panel.style.display).to.equal('flex');
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'F4' }));
+      expect(panel.style.display).to.equal('none');
+    });
+
+    it('should show state, watchers, and a timeline of updates', () => {
+      devtools = installDevtools();
+      fabricate.app(App, { count: 0, name: 'foo' });
+      fabricate.update('count', 1);
+      devtools.toggle();
+
+      const [state, watchers, timeline] = document.getElementById('fabricate-devtools').children;
+      const inputs = state.querySelectorAll('input');
+      expect(inputs.length).to.equal(2);
+      expect(inputs[0].value).to.equal('1');
+      expect(inputs[1].value).to.equal('"foo"');
+      expect(watchers.children[1].innerText).to.equal('Text x2: fabricate:init, count');
+      expect(timeline.childElementCount).to.equal(3);
+      expect(timeline.children[1].firstElementChild.innerText).to.match(/count \(\d+ms\)$/);
+    });
+
+    it('should allow editing a state value', () => {
+      devtools = installDevtools();
+      fabricate.app(App, { count: 0, name: 'foo' });
+      devtools.toggle();
+
+      const input = document.querySelector('#fabricate-devtools input');
+      input.value = '42';
+      input.dispatchEvent(new Event('change'));
+
+      expect(_fabricate.state.count).to.equal(42);
+    });
+
+    it('should allow replaying an update', () => {
+      devtools = installDevtools();
+      fabricate.app(App, { count: 0, name: 'foo' });
+      fabricate.update('count', 5);
+      fabricate.update('count', 6);
+      devtools.toggle();
+
+      const [, , timeline] = document.getElementById('fabricate-devtools').children;
+      timeline.children[2].querySelector('button').click();
+
+      expect(_fabricate.state.count).to.equal(5);
+    });
+
+    it('should remove the panel when uninstalled', () => {
+      devtools = installDevtools();
+      devtools.uninstall();
+
+      expect(document.getElementById('fabricate-devtools')).to.equal(null);
+      expect(_fabricate.plugins.map(({ name }) => name)).to.deep.equal(['debug', 'persistState']);
+      devtools = { uninstall: () => {} };
+    });
+  });
+
   describe('Options', () => {
     it('should allow debugging of state updates', () => {
       fabricate.app(() => fabricate('div'), {}, { debug: true });
@@ -1388,6 +3510,199 @@ describe('fabricate.js', () => {
       }, 500);
     });
 
+    it('should persist state in sessionStorage with a storage key', async () => {
+      const opts = { persistState: ['counter'], storage: 'sessionStorage', storageKey: 'test:session' };
+      fabricate.app(() => fabricate('div'), { counter: 0 }, { ...opts, persistDebounceMs: 0 });
+
+      fabricate.update('counter', 8);
+      await new Promise((resolve) => { setTimeout(resolve, 10); });
+
+      expect(sessionStorage.getItem('test:session')).to.equal(JSON.stringify({ counter: 8 }));
+      _fabricate.clearState();
+      fabricate.app(() => fabricate('div'), { counter: 0 }, opts);
+      expect(_fabricate.state.counter).to.equal(8);
+    });
+
+    it('should debounce saving persisted state', async () => {
+      const saved = [];
+      const storage = { get: () => null, set: (key, value) => saved.push(value) };
+      fabricate.app(() => fabricate('div'), { counter: 0 }, { persistState: ['counter'], storage, persistDebounceMs: 20 });
+
+      fabricate.update('counter', 1);
+      fabricate.update('counter', 2);
+      await new Promise((resolve) => { setTimeout(resolve, 50); });
+
+      expect(saved).to.deep.equal([JSON.stringify({ counter: 2 })]);
+    });
+
+    it('should wait for async storage before notifying init', async () => {
+      let initCounter;
+      const storage = {
+        get: async () => JSON.stringify({ counter: 5 }),
+        set: async () => {},
+      };
+      const App = () => fabricate('div')
+        .onUpdate((el, { counter }) => initCounter = counter, ['fabricate:init']);
+
+      fabricate.app(App, { counter: 0 }, { persistState: ['counter'], storage });
+
+      expect(initCounter).to.equal(undefined);
+      await new Promise((resolve) => { setTimeout(resolve, 10); });
+      expect(initCounter).to.equal(5);
+    });
+
+    it('should save updates made while loading async storage', async () => {
+      const saved = [];
+      const storage = {
+        get: async () => JSON.stringify({ counter: 5, name: 'stored' }),
+        set: async (key, value) => saved.push(value),
+      };
+      fabricate.app(() => fabricate('div'), { counter: 0, name: '' }, {
+        persistState: ['counter', 'name'], storage, persistDebounceMs: 0,
+      });
+
+      fabricate.update('counter', 1);
+      await new Promise((resolve) => { setTimeout(resolve, 10); });
+
+      expect(_fabricate.state).to.deep.equal({ counter: 1, name: 'stored' });
+      expect(saved).to.deep.equal([JSON.stringify({ counter: 1, name: 'stored' })]);
+    });
+
+    it('should not save persisted state after the app is unmounted', async () => {
+      const saved = [];
+      const storage = { get: () => null, set: (key, value) => saved.push(value) };
+      const { unmount } = fabricate.app(() => fabricate('div'), { counter: 0 }, {
+        persistState: ['counter'], storage, persistDebounceMs: 10,
+      });
+
+      fabricate.update('counter', 1);
+      unmount();
+      await new Promise((resolve) => { setTimeout(resolve, 20); });
+
+      expect(saved).to.deep.equal([]);
+    });
+
+    it('should migrate persisted state from an older version', () => {
+      let migratedFrom;
+      const storage = {
+        get: () => JSON.stringify({ count: 3, 'fabricate:stateVersion': 1 }),
+        set: () => {},
+      };
+      const migrate = ({ count }, version) => {
+        migratedFrom = version;
+        return { counter: count };
+      };
+
+      fabricate.app(() => fabricate('div'), { counter: 0 }, {
+        persistState: ['counter'], storage, stateVersion: 2, migrate,
+      });
+
+      expect(migratedFrom).to.equal(1);
+      expect(_fabricate.state.counter).to.equal(3);
+    });
+
+    it('should drop persisted state from an older version without migrate', () => {
+      const storage = { get: () => JSON.stringify({ counter: 3 }), set: () => {} };
+
+      fabricate.app(() => fabricate('div'), { counter: 0 }, { persistState: ['counter'], storage, stateVersion: 1 });
+
+      expect(_fabricate.state.counter).to.equal(0);
+    });
+
+    it('should sync persisted state from other tabs with storage events', () => {
+      let watched;
+      const App = () => fabricate('div')
+        .onUpdate((el, { counter }) => watched = counter, ['counter']);
+      fabricate.app(App, { counter: 0, name: '' }, { persistState: ['counter'], storageKey: 'test:tabs', syncTabs: true });
+
+      window.dispatchEvent(new StorageEvent('storage', {
+        key: 'test:tabs',
+        newValue: JSON.stringify({ counter: 7, name: 'ignored' }),
+        storageArea: localStorage,
+      }));
+
+      expect(watched).to.equal(7);
+      expect(_fabricate.state.name).to.equal('');
+    });
+
+    it('should sync state from other tabs as any other update', () => {
+      const warnings = [];
+      const { warn } = console;
+      console.warn = (msg) => warnings.push(msg);
+      const App = () => fabricate('div');
+      fabricate.app(App, { counter: 0 }, {
+        persistState: ['counter'], storageKey: 'test:tabs', syncTabs: true, history: ['counter'],
+      });
+      let updated;
+      fabricate.use({ afterUpdate: (keys) => updated = keys });
+
+      try {
+        window.dispatchEvent(new StorageEvent('storage', {
+          key: 'test:tabs',
+          newValue: '{invalid',
+          storageArea: localStorage,
+        }));
+        window.dispatchEvent(new StorageEvent('storage', {
+          key: 'test:tabs',
+          newValue: JSON.stringify({ counter: 2 }),
+          storageArea: localStorage,
+        }));
+      } finally {
+        console.warn = warn;
+      }
+
+      expect(warnings.length).to.equal(1);
+      expect(warnings[0]).to.contain('Ignoring invalid state from another tab');
+      expect(updated).to.deep.equal(['counter']);
+      fabricate.undo();
+      expect(_fabricate.state.counter).to.equal(0);
+    });
+
+    it('should sync persisted state from other tabs with a BroadcastChannel', async () => {
+      const channels = [];
+      window.BroadcastChannel = class {
+        constructor(name) {
+          this.name = name;
+          this.posted = [];
+          channels.push(this);
+        }
+
+        postMessage(data) {
+          this.posted.push(data);
+        }
+
+        close() {
+          this.closed = true;
+        }
+      };
+      const saved = [];
+      const storage = { get: () => null, set: (key, value) => saved.push(value) };
+
+      try {
+        fabricate.app(() => fabricate('div'), { counter: 0 }, {
+          persistState: ['counter'], storage, storageKey: 'test:channel', syncTabs: true, persistDebounceMs: 0,
+        });
+        const [channel] = channels;
+        channel.onmessage({ data: JSON.stringify({ counter: 3 }) });
+        await new Promise((resolve) => { setTimeout(resolve, 10); });
+
+        // Not echoed back to other tabs
+        expect(_fabricate.state.counter).to.equal(3);
+        expect(channel.posted).to.deep.equal([]);
+        expect(saved).to.deep.equal([]);
+
+        fabricate.update('counter', 4);
+        await new Promise((resolve) => { setTimeout(resolve, 10); });
+        expect(channel.name).to.equal('test:channel');
+        expect(channel.posted).to.deep.equal([JSON.stringify({ counter: 4 })]);
+
+        _fabricate.clearState();
+        expect(channel.closed).to.equal(true);
+      } finally {
+        delete window.BroadcastChannel;
+      }
+    });
+
     it('should only allow updating known state', () => {
       const initialState = { known: true };
       fabricate.app(() => fabricate('div'), initialState);
@@ -1438,6 +3753,49 @@ describe('fabricate.js', () => {
       expect(
         () => fabricate.app(App, {}, { disableGroupAddChildrenOptim: true }),
       ).to.not.throw(Error);
+
+      expect(() => fabricate.app(App, {}, { batchUpdates: 'true' }))
+        .to.throw('batchUpdates option must be boolean, was string');
+      expect(() => fabricate.app(App, {}, { batchUpdates: true })).to.not.throw(Error);
+
+      expect(() => fabricate.app(App, {}, { storage: 'cookies' }))
+        .to.throw('storage option must be one of localStorage, sessionStorage, indexedDB, or object with get and set functions');
+      expect(() => fabricate.app(App, {}, { storage: { get: () => null } }))
+        .to.throw('storage option must be one of localStorage, sessionStorage, indexedDB, or object with get and set functions');
+      expect(() => fabricate.app(App, {}, { storageKey: 12 }))
+        .to.throw('storageKey option must be string, was number');
+      expect(() => fabricate.app(App, {}, { stateVersion: '1' }))
+        .to.throw('stateVersion option must be number, was string');
+      expect(() => fabricate.app(App, {}, { migrate: {} }))
+        .to.throw('migrate option must be function, was object');
+      expect(() => fabricate.app(App, {}, { persistDebounceMs: -1 }))
+        .to.throw('persistDebounceMs option must be a number of milliseconds');
+      expect(() => fabricate.app(App, {}, { syncTabs: 'true' }))
+        .to.throw('syncTabs option must be boolean, was string');
+      expect(() => fabricate.app(App, {}, { history: 'text' }))
+        .to.throw('history option must be string array, was string');
+      expect(() => fabricate.app(App, {}, { historyLimit: 0 }))
+        .to.throw('historyLimit option must be a positive integer');
+      expect(() => fabricate.app(App, {}, { schema: 'number' }))
+        .to.throw('schema option must be object, was string');
+      expect(() => fabricate.app(App, {}, { schema: { counter: 'integer' } }))
+        .to.throw('Invalid schema type for counter');
+      expect(() => fabricate.app(App, {}, { schema: { user: fabricate.types.object({ tags: fabricate.types.array('text') }) } }))
+        .to.throw('Invalid schema type for user.tags[]');
+      expect(() => fabricate.app(App, {}, { skipUnchangedUpdates: 1 }))
+        .to.throw('skipUnchangedUpdates option must be boolean, was number');
+      expect(() => fabricate.app(App, {}, { observeLifecycle: 'yes' }))
+        .to.throw('observeLifecycle option must be boolean, was string');
+      expect(() => fabricate.app(App, {}, { themes: 'dark' }))
+        .to.throw('themes option must be object, was string');
+      expect(() => fabricate.app(App, {}, { themes: { dark: { styles: {} } } }))
+        .to.throw('themes option theme dark must contain .palette and/or .styles objects');
+      expect(() => fabricate.app(App, {}, { theme: 'dark', themes: { light: { palette: {} } } }))
+        .to.throw('theme option dark is not in the themes option');
+      expect(() => fabricate.app(App, {}, { breakpoints: {} }))
+        .to.throw('breakpoints option must be object of breakpoint minimum widths');
+      expect(() => fabricate.app(App, {}, { breakpoints: { narrow: 0, wide: '1000px' } }))
+        .to.throw('breakpoints option breakpoint wide must be a minimum width number');
     });
   });
 
@@ -1480,6 +3838,9 @@ describe('fabricate.js', () => {
         Init: 'fabricate:init',
         Created: 'fabricate:created',
         Route: 'fabricate:route',
+        RouteParams: 'fabricate:routeParams',
+        Theme: 'fabricate:theme',
+        Viewport: 'fabricate:viewport',
       });
     });
   });
@@ -0,0 +1,30 @@
+/** Options for the devtools panel */
+export type DevtoolsOptions = {
+  /** Key to show and hide the panel, default F2 */
+  shortcut?: string;
+};
+
+/** Installed devtools panel */
+export type Devtools = {
+  /**
+   * Show or hide the panel.
+   *
+   * @returns {void}
+   */
+  toggle: () => void;
+  /**
+   * Remove the devtools panel.
+   *
+   * @returns {void}
+   */
+  uninstall: () => void;
+};
+
+/**
+ * Add a devtools panel to the page, showing the default app's live state, state watchers,
+ * and a timeline of updates. State values can be edited, and updates replayed.
+ *
+ * @param {DevtoolsOptions} [opts] - Devtools options.
+ * @returns {Devtools} Devtools with toggle() and uninstall().
+ */
+export type InstallDevtools = (opts?: DevtoolsOptions) => Devtools;
@@ -6,11 +6,91 @@ type ThemeCallback = (theme: {
 }) => Partial<CSSStyleDeclaration>;
 
 /** Built-in state keys */
-type BuiltinKeys = 'fabricate:init' | 'fabricate:created' | 'fabricate:route';
+type BuiltinKeys = 'fabricate:init' | 'fabricate:created' | 'fabricate:route' | 'fabricate:routeParams' | 'fabricate:theme' | 'fabricate:viewport';
+
+/** Theme with palette colors and reusable styles */
+export type FabricateTheme = {
+  /** Color palette */
+  palette?: object,
+  /** Reusable styles, like shadows or borders */
+  styles?: object,
+  /** Other things developer may want in their theme, like 'fonts' */
+  [key: string]: string | object | undefined,
+};
+
+/** Styles for a generated class, with nested pseudo-selectors, selectors, and at-rules */
+export type FabricateCssStyles = {
+  [property: string]: string | number | FabricateCssStyles,
+};
+
+/** Animation to enter or leave with - a preset, a keyframes name, or keyframes */
+type FabricateAnimation = FabricateTransitionPreset | string | { [frame: string]: FabricateCssStyles };
+
+/** Built-in transitions */
+type FabricateTransitionPreset = 'fade' | 'slide' | 'scale';
+
+/** Transition for content entering and leaving */
+export type FabricateTransition = FabricateTransitionPreset | {
+  /** Animation when entering */
+  enter?: FabricateAnimation,
+  /** Animation when leaving, after which the content is removed */
+  leave?: FabricateAnimation,
+  /** Duration of each animation, default 200 */
+  durationMs?: number,
+  /** CSS animation easing, default 'ease' */
+  easing?: string,
+};
+
+/** Form field validator, returning an error message, or a Promise of one */
+export type FabricateValidator = (value: any, values: { [field: string]: any }) =>
+  string | null | undefined | Promise<string | null | undefined>;
+
+/** Form state, kept in the form's state key */
+export type FabricateFormState<Fields> = {
+  values: Fields,
+  touched: { [K in keyof Fields]: boolean },
+  dirty: { [K in keyof Fields]: boolean },
+  errors: { [K in keyof Fields]: string | null },
+  isValid: boolean,
+  isValidating: boolean,
+  isSubmitting: boolean,
+  submitCount: number,
+};
+
+/** Form component, with methods to submit and reset it */
+export interface FabricateForm<StateShape> extends FabricateComponent<StateShape> {
+  /**
+   * Validate all fields, then submit the values if the form is valid.
+   *
+   * @returns {Promise<boolean>} true if the form was valid and submitted.
+   */
+  submitForm: () => Promise<boolean>;
+  /**
+   * Reset the form to its initial values, with no fields touched or dirty.
+   *
+   * @returns {FabricateForm<StateShape>} This form.
+   */
+  resetForm: () => FabricateForm<StateShape>;
+}
+
+/** Key path to a nested state value, such as 'settings.theme.dark' */
+type KeyPath<StateShape> = `${Extract<keyof StateShape, string>}.${string}`;
+
+/** Route object type, for routes with guards or loaders */
+type FabricateRoute = {
+  /** Build the route page, given any loaded data */
+  builder: (data?: any) => any; // should be FabricateComponent<StateShape>
+  /** Return false to cancel, or a route to redirect to */
+  beforeEnter?: (state: any, from: string | undefined, to: string) => boolean | string | void;
+  /** Load data for the page before it is built */
+  load?: (state: any, params: { [key: string]: string }) => Promise<any> | any;
+  /** Child routes, shown in the outlet of the builder's layout */
+  children?: FabricateRouter;
+};
 
 /** Router type */
 type FabricateRouter = {
-  [key: string]: () => any; // should be FabricateComponent<StateShape>
+  [key: string]: (() => any) | FabricateRoute; // should be FabricateComponent<StateShape>
 };
 
 /**
@@ -42,6 +122,22 @@ export interface FabricateComponent<StateShape> extends HTMLElement {
    * @returns {FabricateComponent<StateShape>} This component.
    */
   setAttributes: (attributes: object) => FabricateComponent<StateShape>;
+  /**
+   * Set styles for each breakpoint, applied again whenever the breakpoint changes.
+   *
+   * @param {object} stylesByBreakpoint - Styles objects for each breakpoint name.
+   * @returns {FabricateComponent<StateShape>} This component.
+   */
+  setResponsiveStyles: (stylesByBreakpoint: {
+    [breakpoint: string]: Partial<CSSStyleDeclaration>,
+  }) => FabricateComponent<StateShape>;
+  /**
+   * Add classes, generating them from any styles objects given with fabricate.css().
+   *
+   * @param {...(string|object)} classes - Class names or styles objects.
+   * @returns {FabricateComponent<StateShape>} This component.
+   */
+  addClass: (...classes: (string | FabricateCssStyles)[]) => FabricateComponent<StateShape>;
   /**
    * Set div as flex type.
    *
@@ -63,6 +159,19 @@ export interface FabricateComponent<StateShape> extends HTMLElement {
    * @returns {FabricateComponent<StateShape>} This component.
    */
   setChildren: (children: FabricateComponent<StateShape>[], label?: string) => FabricateComponent<StateShape>;
+  /**
+   * Set child elements from a list of items, reusing existing children by key.
+   *
+   * @param {Array} items - List of items to render.
+   * @param {function(item, index)} keyFn - Function returning a unique key for each item.
+   * @param {function(item, index)} builderCb - Function to build the child for an item.
+   * @returns {FabricateComponent<StateShape>} This component.
+   */
+  setKeyedChildren: <T>(
+    items: T[],
+    keyFn: (item: T, index: number) => string | number,
+    builderCb: (item: T, index: number) => FabricateComponent<StateShape>,
+  ) => FabricateComponent<StateShape>;
   /**
    * Set element innerHtml.
    *
@@ -108,6 +217,13 @@ export interface FabricateComponent<StateShape> extends HTMLElement {
       newValue: string,
     ) => void,
   ) => FabricateComponent<StateShape>;
+  /**
+   * Keep the value of an input, select, or textarea and a state key in sync both ways.
+   *
+   * @param {string} stateKey - State key or key path to bind to.
+   * @returns {FabricateComponent<StateShape>} This component.
+   */
+  bind: (stateKey: keyof StateShape | KeyPath<StateShape>) => FabricateComponent<StateShape>;
   /**
    * When the element is hovered.
    *
@@ -136,7 +252,22 @@ export interface FabricateComponent<StateShape> extends HTMLElement {
       state: StateShape,
       keysChanged: string[],
     ) => void,
-    watchKeys: (keyof StateShape | BuiltinKeys)[],
+    watchKeys: (keyof StateShape | BuiltinKeys | KeyPath<StateShape>)[],
+  ) => FabricateComponent<StateShape>;
+  /**
+   * Watch a value selected from the state, only notified when it changes.
+   *
+   * @param {Function} selector - Function selecting a value from the state.
+   * @param {Function} cb - Callback to be notified with the selected value.
+   * @returns {FabricateComponent<StateShape>} This component.
+   */
+  onSelect: <T>(
+    selector: (state: StateShape) => T,
+    cb: (
+      el: FabricateComponent<StateShape>,
+      selected: T,
+      state: StateShape,
+    ) => void,
   ) => FabricateComponent<StateShape>;
   /**
    * Optional on create handler, alternative to 'fabricate:created' event.
@@ -163,6 +294,32 @@ export interface FabricateComponent<StateShape> extends HTMLElement {
       state: StateShape,
     ) => void,
   ) => FabricateComponent<StateShape>;
+  /**
+   * Run some statements when the component is added to the app's page, with the
+   * observeLifecycle option.
+   *
+   * @param {function(el, state)} cb - Callback when component added.
+   * @returns {FabricateComponent<StateShape>} This component.
+   */
+  onMount: (
+    cb: (
+      el: FabricateComponent<StateShape>,
+      state: StateShape,
+    ) => void,
+  ) => FabricateComponent<StateShape>;
+  /**
+   * Run some statements when the component is removed from the app's page by any means,
+   * with the observeLifecycle option.
+   *
+   * @param {function(el, state)} cb - Callback when component removed.
+   * @returns {FabricateComponent<StateShape>} This component.
+   */
+  onUnmount: (
+    cb: (
+      el: FabricateComponent<StateShape>,
+      state: StateShape,
+    ) => void,
+  ) => FabricateComponent<StateShape>;
   /**
    * Listen for any other Event type, such as 'load'.
    *
@@ -183,35 +340,161 @@ export interface FabricateComponent<StateShape> extends HTMLElement {
    *
    * @param {function(state)} testCb - Callback to test the state.
    * @param {function(el, state, isDisplayed)} changeCb - Callback when display state changes.
+   * @param {object} [options] - Options, such as transition.
    * @returns {FabricateComponent<StateShape>} This component. 
    */
-  displayWhen: (
+  displayWhen: ((
     testCb: (state: StateShape) => boolean,
     changeCb?: (
       el: FabricateComponent<StateShape>,
       state: StateShape,
       isDisplayed: boolean,
     ) => void,
-  ) => FabricateComponent<StateShape>;
+    options?: {
+      transition?: FabricateTransition, // Animate showing and hiding.
+    },
+  ) => FabricateComponent<StateShape>) & ((
+    testCb: (state: StateShape) => boolean,
+    options: {
+      transition?: FabricateTransition, // Animate showing and hiding.
+    },
+  ) => FabricateComponent<StateShape>);
+}
+
+/** Custom storage backend for persisted state. Functions may return Promises. */
+export type FabricateStorage = {
+  /** Get a stored value, if any */
+  get: (key: string) => string | null | undefined | Promise<string | null | undefined>;
+  /** Store a value */
+  set: (key: string, value: string) => void | Promise<void>;
+}
+
+/** Plugin with hooks around state updates and app events */
+export type FabricatePlugin<StateShape> = {
+  /** Plugin name */
+  name?: string;
+  /** Before an update - return new values to transform it, or false to veto it */
+  beforeUpdate?: (
+    keys: string[],
+    next: { [key: string]: any },
+    prev: StateShape,
+  ) => { [key: string]: any } | boolean | void;
+  /** After watchers are notified of an update */
+  afterUpdate?: (keys: string[], state: StateShape, msTaken: number) => void;
+  /** When an app starts, before fabricate:init is sent */
+  onAppStart?: (state: StateShape) => void;
+  /** When the router route changes */
+  onNavigate?: (from: string | undefined, to: string) => void;
+}
+
+/** Recorded state update */
+export type FabricateRecordedUpdate = {
+  /** Keys updated */
+  keys: string[];
+  /** New values of the keys updated */
+  values: { [key: string]: any };
+  /** Time of the update */
+  timestamp: number;
+  /** Route at the time of the update */
+  route?: string;
+}
+
+/** Recording of state updates */
+export type FabricateRecording = {
+  /** State when recording started */
+  initialState: { [key: string]: any };
+  /** Updates in order */
+  updates: FabricateRecordedUpdate[];
+}
+
+/** Type name in a state schema */
+export type FabricateSchemaTypeName = 'string' | 'number' | 'boolean' | 'array' | 'object' | 'enum' | 'any';
+
+/** Type of a state value in a state schema */
+export type FabricateSchemaType = FabricateSchemaTypeName | {
+  /** Type name */
+  type: FabricateSchemaTypeName;
+  /** Type of every item, for arrays */
+  items?: FabricateSchemaType;
+  /** Types of some or all properties, for objects */
+  shape?: { [key: string]: FabricateSchemaType };
+  /** Values allowed, for enums */
+  values?: any[];
+  /** Whether null or undefined is also allowed */
+  nullable?: boolean;
 }
 
 /** Options for fabricate.js behavior */
 export type FabricateOptions = {
   /** Persist some state keys in localStorage */
   persistState?: string[] | undefined;
-  /** Custom theme provided in setStyles */
-  theme?: {
-    /** Color palette */
-    palette: object,
-    /** Reusable styles, like shadows or borders */
-    styles?: object,
-    /** Other things developer may want in their theme, like 'fonts' */
-    [key: string]: string | object,
+  /** Custom theme provided in setStyles, or name of the initial theme in themes */
+  theme?: FabricateTheme | string;
+  /** Named themes that can be switched with setTheme() */
+  themes?: {
+    [name: string]: FabricateTheme;
   };
   /** Disable group children adding optimisation */
   disableGroupAddChildrenOptim?: boolean;
   /** Log more information about state updates and state watchers */
   debug?: boolean;
+  /** Merge all updates made in the same tick into one notification */
+  batchUpdates?: boolean;
+  /** Where persisted state is stored, default localStorage */
+  storage?: 'localStorage' | 'sessionStorage' | 'indexedDB' | FabricateStorage;
+  /** Storage key for persisted state, to keep apps separate */
+  storageKey?: string;
+  /** Version of the persisted state shape */
+  stateVersion?: number;
+  /** Migrate persisted state from an older stateVersion */
+  migrate?: (oldState: object, version: number) => object;
+  /** Time to wait after the last update before saving persisted state */
+  persistDebounceMs?: number;
+  /** Update persisted keys when other tabs save them */
+  syncTabs?: boolean;
+  /** State keys to record updates of, for undo and redo */
+  history?: string[];
+  /** Maximum number of undo steps, default 100 */
+  historyLimit?: number;
+  /** Types of state keys, checked on every update. Keys can use '*' patterns */
+  schema?: { [key: string]: FabricateSchemaType };
+  /** Ignore updates that write the same values already in state */
+  skipUnchangedUpdates?: boolean;
+  /** Run onMount and onUnmount, and clean up elements removed by any means */
+  observeLifecycle?: boolean;
+  /** Minimum viewport widths of named breakpoints, default { narrow: 0, wide: 1000 } */
+  breakpoints?: {
+    [name: string]: number;
+  };
+}
+
+/** Options for starting an app */
+export type FabricateAppOptions = FabricateOptions & {
+  /** Element to add the app to, default document.body */
+  container?: HTMLElement;
+}
+
+/** Handle to a started app */
+export type FabricateApp<StateShape> = {
+  /** App root element */
+  root: FabricateComponent<StateShape>;
+  /**
+   * Run a callback with fabricate functions acting on this app.
+   *
+   * @param {function} cb - Callback to run.
+   * @returns {*} Callback result.
+   */
+  run: <T>(cb: () => T) => T;
+  /**
+   * Get a copy of this app's state.
+   *
+   * @returns {StateShape} State copy.
+   */
+  getState: () => StateShape;
+  /**
+   * Remove the app, running all onDestroy handlers and unregistering its watchers.
+   */
+  unmount: () => void;
 }
 
 /** Fabricate.js library */
@@ -240,12 +523,15 @@ export type Fabricate<StateShape> = {
     Init: 'fabricate:init',
     Created: 'fabricate:created',
     Route: 'fabricate:route',
+    RouteParams: 'fabricate:routeParams',
+    Theme: 'fabricate:theme',
+    Viewport: 'fabricate:viewport',
   };
 
   /**
    * Update fabricate.js app state.
    *
-   * Note: param1 can be string to allow buildKey and dynamic state keys.
+   * Note: param1 can be string to allow buildKey, dynamic state keys, and key paths.
    *
    * @param {string|Partial<StateShape>} param1 - Either key or object state slice.
    * @param {Function|object|undefined} param2 - Keyed value or update function getting old state.
@@ -255,6 +541,136 @@ export type Fabricate<StateShape> = {
     param1: string | Partial<StateShape>,
     param2?: ((oldState: StateShape) => any) | object | string | number | boolean | undefined | null,
   ) => void;
+  /**
+   * Add a plugin with hooks around state updates and app events.
+   *
+   * @param {FabricatePlugin} plugin - Plugin to add.
+   * @returns {function} Function to remove the plugin.
+   */
+  use: (plugin: FabricatePlugin<StateShape>) => () => void;
+  /**
+   * Run onMount and onUnmount handlers for page changes not yet handled, such as in unit tests.
+   *
+   * @returns {void}
+   */
+  flushLifecycle: () => void;
+  /**
+   * Get a CSS value for a theme palette color, which changes when the theme does.
+   *
+   * @param {string} name - Palette color name.
+   * @returns {string} CSS value.
+   */
+  themeVar: (name: string) => string;
+  /**
+   * Switch to another theme of the themes option, changing theme colors in place.
+   *
+   * @param {string} name - Theme name.
+   * @returns {void}
+   */
+  setTheme: (name: string) => void;
+  /**
+   * Generate a class for some styles in the managed stylesheet, including pseudo-selectors,
+   * nested selectors, and at-rules like media queries. Identical styles share one class.
+   *
+   * @param {FabricateCssStyles} styles - Styles object.
+   * @returns {string} Generated class name.
+   */
+  css: (styles: FabricateCssStyles) => string;
+  /**
+   * Generate keyframes in the managed stylesheet, for use in an animation.
+   *
+   * @param {object} frames - Styles for each frame, such as '0%' and '100%'.
+   * @returns {string} Generated animation name.
+   */
+  keyframes: (frames: { [frame: string]: FabricateCssStyles }) => string;
+  /**
+   * Get all generated CSS, such as to include in a page rendered with renderToString().
+   *
+   * @returns {string} CSS rules.
+   */
+  getStyleSheet: () => string;
+  /**
+   * Make many state updates, notifying watchers only once with all keys updated.
+   *
+   * @param {Function} cb - Callback making state updates.
+   * @returns {void}
+   */
+  batch: (cb: () => void) => void;
+  /**
+   * Make many state updates that are undone and redone together as one step.
+   *
+   * @param {Function} cb - Callback making state updates.
+   * @returns {void}
+   */
+  transaction: (cb: () => void) => void;
+  /**
+   * Undo the last state update of keys recorded in history.
+   *
+   * @returns {void}
+   */
+  undo: () => void;
+  /**
+   * Redo the last state update that was undone.
+   *
+   * @returns {void}
+   */
+  redo: () => void;
+  /**
+   * Check if there is a state update that can be undone.
+   *
+   * @returns {boolean} true if undo() will undo an update.
+   */
+  canUndo: () => boolean;
+  /**
+   * Check if there is an undone state update that can be redone.
+   *
+   * @returns {boolean} true if redo() will redo an update.
+   */
+  canRedo: () => boolean;
+  /**
+   * Start recording every state update, so they can be replayed later.
+   *
+   * @returns {void}
+   */
+  startRecording: () => void;
+  /**
+   * Stop recording state updates.
+   *
+   * @returns {string} Recording as JSON, including the state when recording started.
+   */
+  stopRecording: () => string;
+  /**
+   * Load a recording, showing the state when it was started.
+   *
+   * @param {string|FabricateRecording} recording - Recording from stopRecording().
+   * @returns {void}
+   */
+  loadRecording: (recording: string | FabricateRecording) => void;
+  /**
+   * Replay the next update in the loaded recording.
+   *
+   * @returns {number} Number of updates now applied.
+   */
+  stepForward: () => number;
+  /**
+   * Go back to before the last update replayed from the loaded recording.
+   *
+   * @returns {number} Number of updates now applied.
+   */
+  stepBack: () => number;
+  /**
+   * Declare a read-only state key whose value is computed from other state keys.
+   *
+   * @param {string} key - New state key.
+   * @param {string[]} deps - State keys the value depends on.
+   * @param {function(state)} fn - Function computing the value from the state.
+   * @returns {void}
+   */
+  computed: (
+    key: string,
+    deps: (keyof StateShape | BuiltinKeys | string)[],
+    fn: (state: StateShape) => any,
+  ) => void;
   /**
    * Test if on a 'narrow' device.
    *
@@ -262,17 +678,45 @@ export type Fabricate<StateShape> = {
    */
   isNarrow: () => boolean;
   /**
-   * Begin a component hierarchy from the body.
+   * Begin a component hierarchy from the body, or another container.
    *
    * @param {function} rootCb - Builder function returning first element in the app tree.
    * @param {StateShape} [initialState] - Optional, initial state.
-   * @param {FabricateOptions} [opts] - Extra options.
+   * @param {FabricateAppOptions} [opts] - Extra options, and container element.
+   * @returns {FabricateApp} App handle.
    */
   app: (
     rootCb: () => FabricateComponent<StateShape>,
     initialState: StateShape,
+    options?: FabricateAppOptions,
+  ) => FabricateApp<StateShape>;
+  /**
+   * Render a component hierarchy to a HTML string, without needing a browser.
+   *
+   * @param {function} rootCb - Builder function returning first element in the app tree.
+   * @param {StateShape} [initialState] - Optional, initial state.
+   * @param {FabricateOptions} [opts] - Extra options, such as theme.
+   * @returns {string} HTML string.
+   */
+  renderToString: (
+    rootCb: () => FabricateComponent<StateShape>,
+    initialState?: StateShape,
     options?: FabricateOptions,
-  ) => FabricateComponent<StateShape>;
+  ) => string;
+  /**
+   * Begin a component hierarchy using existing elements in the page, such as
+   * those from renderToString(), instead of creating new ones.
+   *
+   * @param {function} rootCb - Builder function returning first element in the app tree.
+   * @param {StateShape} [initialState] - Optional, initial state.
+   * @param {FabricateAppOptions} [opts] - Extra options, and container element.
+   * @returns {FabricateApp} App handle.
+   */
+  hydrate: (
+    rootCb: () => FabricateComponent<StateShape>,
+    initialState?: StateShape,
+    options?: FabricateAppOptions,
+  ) => FabricateApp<StateShape>;
   /**
    * Declare a new component so it can be instantiated using fabricate().
    * 
@@ -303,6 +747,19 @@ export type Fabricate<StateShape> = {
    * @returns {string} Constructed state key.
    */
   buildKey: (name: string, ...rest: string[]) => string,
+  /**
+   * Types for the schema option.
+   */
+  types: {
+    string: FabricateSchemaType;
+    number: FabricateSchemaType;
+    boolean: FabricateSchemaType;
+    any: FabricateSchemaType;
+    array: (items?: FabricateSchemaType) => FabricateSchemaType;
+    object: (shape?: { [key: string]: FabricateSchemaType }) => FabricateSchemaType;
+    enum: (values: any[]) => FabricateSchemaType;
+    nullable: (type: FabricateSchemaType) => FabricateSchemaType;
+  };
   /**
    * Create a component when a state test is passed.
    *
@@ -315,8 +772,45 @@ export type Fabricate<StateShape> = {
     builderCb: () => FabricateComponent<StateShape>,
     options?: {
       asyncReplace?: boolean, // If true, replaces the component when the test changes.
+      transition?: FabricateTransition, // Animate the component entering and leaving.
+      transitionGroup?: object, // Shared by conditionals that enter once another has left.
     }
   ) => FabricateComponent<StateShape>;
+  /**
+   * Render a list of items in state, keeping existing rows when the list changes.
+   *
+   * @param {string} stateKey - State key holding the array of items.
+   * @param {function(item, index)} keyFn - Function returning a unique key for each item.
+   * @param {function(item, index)} builderCb - Function to build the child for an item.
+   * @returns {FabricateComponent} Wrapper component.
+   */
+  list: <T = any>(
+    stateKey: keyof StateShape | string,
+    keyFn: (item: T, index: number) => string | number,
+    builderCb: (item: T, index: number) => FabricateComponent<StateShape>,
+  ) => FabricateComponent<StateShape>;
+  /**
+   * Create a form keeping its values, and the touched, dirty, and error state of each field,
+   * in a state key.
+   *
+   * @param {object} config - Form configuration.
+   * @returns {FabricateForm} Form component.
+   */
+  form: <Fields extends { [field: string]: any }>(config: {
+    stateKey: keyof StateShape | string, // State key to keep the form state in.
+    fields: Fields, // Initial value of each field.
+    validators?: { [K in keyof Fields]?: FabricateValidator[] }, // Validators of some or all fields.
+    onSubmit?: (values: Fields, state: StateShape) => void | Promise<void>, // When a valid form is submitted.
+  }) => FabricateForm<StateShape>;
+  /**
+   * Validators for form fields.
+   */
+  validators: {
+    required: (message?: string) => FabricateValidator;
+    minLength: (length: number, message?: string) => FabricateValidator;
+    pattern: (regExp: RegExp, message?: string) => FabricateValidator;
+    email: (message?: string) => FabricateValidator;
+  };
   /**
    * Render a router that changes pages when fabricate.navigate() is used.
    *
@@ -327,8 +821,18 @@ export type Fabricate<StateShape> = {
     router: FabricateRouter,
     options?: {
       asyncReplace?: boolean, // If true, replaces the component when the test changes.
+      transition?: FabricateTransition, // Animate pages entering and leaving.
+      mode?: 'memory' | 'path' | 'hash', // If not 'memory', sync the route with the browser URL.
+      pendingBuilder?: () => FabricateComponent<StateShape>, // Shown while a route is loading.
+      errorBuilder?: (error: Error) => FabricateComponent<StateShape>, // Shown if loading fails.
     }
   ) => FabricateComponent<StateShape>,
+  /**
+   * Show the page for the current child route, inside the layout of a route with children.
+   *
+   * @returns {FabricateComponent} Wrapper component.
+   */
+  outlet: () => FabricateComponent<StateShape>,
   /**
    * Navigate to a route, if it was declared.
    *